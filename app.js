@@ -1,27 +1,127 @@
 /* ═══════════════════════════════════════════════════════════
    Tori's Skin Secret — Sales Journal
-   Complete vanilla JS: CRUD, localStorage, filters, export,
-   summaries, theme toggle, and old-data migration.
+   Complete vanilla JS: multi-line order CRUD, part payments and debts, returns and refunds, audit trail, undo/redo, recycle bin, IndexedDB storage, multiple journals, passcode lock, offline support, device sync, filters, receipts, CSV export/import,
+   JSON backup/restore, product catalogue, inventory, cost of goods,
+   expenses, profit & loss, cash book, customers, summaries, sales targets, reports, theme toggle, and old-data migration.
    ═══════════════════════════════════════════════════════════ */
 
 (function () {
     'use strict';
 
     // ── Constants ──────────────────────────────────────────
-    const STORAGE_KEY = 'toriSalesJournal';
-    const THEME_KEY = 'toriSalesTheme';
+    // Records and settings are kept by SalesStore (storage.js).
+
+    // Deleted and replaced sales stay in the recycle bin this many days by default.
+    const DEFAULT_BIN_DAYS = 30;
+    // How many changes the undo stack remembers (it lives for the session only).
+    const UNDO_LIMIT = 50;
+    // How often an open journal checks for a new version of the app.
+    const UPDATE_CHECK_MS = 60 * 60 * 1000;
+    // With a sync endpoint set: sync this often, and this long after a local change.
+    const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+    const SYNC_DELAY_MS = 10 * 1000;
+    // With a passcode: lock after this many idle minutes unless changed, checking this often.
+    const DEFAULT_AUTO_LOCK_MINUTES = 5;
+    const AUTO_LOCK_CHECK_MS = 30 * 1000;
+    // The sales list shows this many rows at first, and this many more per "Show more".
+    const SALES_PAGE_SIZE = 50;
+    // Typing in a filter box waits this long for a pause before re-filtering.
+    const FILTER_DELAY_MS = 250;
+
+    // Business name of the default journal until it is renamed. The open
+    // journal's name heads the page and receipts and starts export filenames.
+    const BUSINESS_NAME = "Tori's Skin Secret";
+
+    // Periods the totals across journals can cover (keys of quickRange; '' is everything).
+    const JOURNAL_PERIODS = { today: 'Today', thisWeek: 'This week', thisMonth: 'This month', lastMonth: 'Last month', thisYear: 'This year', '': 'All time' };
+
+    // How cost of goods is estimated from restock batches for sales without a cost.
+    const COST_METHODS = { fifo: 'FIFO', average: 'Weighted average' };
+
+    // Low-stock warning level for products that don't set their own.
+    const DEFAULT_LOW_STOCK = 5;
+
+    // Expense categories. Stock bought for resale is a restock (cost of goods), not an expense.
+    const EXPENSE_CATEGORIES = {
+        rent: 'Rent',
+        transport: 'Transport',
+        packaging: 'Packaging',
+        ads: 'Ads & promotion',
+        utilities: 'Utilities',
+        wages: 'Wages',
+        fees: 'Bank & POS fees',
+        other: 'Other'
+    };
+
+    // Cash book entries besides sales and expenses. Adjustments come from close-of-day counts.
+    const MOVEMENT_TYPES = { deposit: 'Deposit', withdrawal: 'Withdrawal', adjustment: 'Count adjustment' };
+
+    // Periods that can have revenue and profit targets, shown on the summary cards.
+    const TARGET_PERIODS = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+    const TARGET_MEASURES = { revenue: 'Revenue', profit: 'Gross profit' };
+
+    // Version of the JSON backup format. Bump it (and extend upgradeBackup)
+    // whenever the shape of a stored sale changes.
+    const SCHEMA_VERSION = 10;
+    const BACKUP_APP_ID = 'tori-sales-journal';
 
     // Old localStorage keys used by the previous version of the app.
     // The migration function converts data from these keys into the new format.
     const OLD_STORAGE_KEY = 'forextodo';
     const OLD_KEYS_TO_CLEAN = ['forextodo', 'forexwins', 'forexloss', 'trimmed'];
 
+    // Allowed values for the select/radio fields, shared by form and import validation.
+    const PAYMENT_METHODS = ['cash', 'transfer', 'pos', 'online'];
+    const CUSTOMER_TYPES = ['new', 'returning'];
+
+    // How much of an order has been paid, derived from its payments list.
+    const PAYMENT_STATUSES = { paid: 'Paid', partial: 'Part-paid', unpaid: 'Unpaid' };
+
+    // A return is refunded by a payment method, or taken off what the customer still owes ('balance').
+    const REFUND_METHODS = PAYMENT_METHODS.concat(['balance']);
+
+    // Columns written by exportCSV() that importCSV() needs to rebuild a sale.
+    const CSV_COLUMNS = ['Date', 'CustomerType', 'ItemName', 'Quantity', 'UnitPrice', 'CostPerUnit', 'Discount', 'PaymentMethod', 'Notes'];
+
     // ── State ──────────────────────────────────────────────
     let sales = [];
+    let products = [];
+    let restocks = [];
+    let costMethod = 'fifo';
+
+    let customers = [];
+    let expenses = [];
+
+    // Cash book: withdrawals/deposits/adjustments { id, date, type, method, amount, notes },
+    // close-of-day counts { id, date, method, expected, counted, difference, countedAt, countedBy }
+    // and the opening balances { date, cash, transfer, pos, online } it starts from.
+    let cashMovements = [];
+    let reconciliations = [];
+    let openingBalances = null;
+
+    // Revenue/profit targets per period, e.g. { day: { revenue: 50000 }, month: { revenue: 1500000, profit: 600000 } }.
+    // A missing entry means no target. Kept in settings next to the theme.
+    let targets = {};
+
+    // Recycle bin entries: { id, sale, reason: 'deleted'|'edited'|'reset', deletedAt }
+    let recycleBin = [];
+    let binDays = DEFAULT_BIN_DAYS;
+
+    // Deleted-sale markers { id, deletedAt, syncRev } so sync can pass deletions on.
+    let tombstones = [];
+
+    // Name of whoever is using the journal this session ('' if they skipped).
+    // Stamped on new sales and on each change in a sale's history.
+    let operator = '';
+
+    // Derived lookups, rebuilt lazily after sales or restocks change:
+    // saleId → estimated unit cost, and saleId → 'new'|'returning' for customer-linked sales.
+    let costEstimates = null;
+    let customerTypes = null;
 
     // ── Helpers ────────────────────────────────────────────
 
-    /** Generate a unique ID (good enough for localStorage). */
+    /** Generate a unique ID (good enough for a single device). */
     function uid() {
         return Date.now().toString(36) + Math.random().toString(36).slice(2, 9);
     }
@@ -34,32 +134,128 @@
             String(d.getDate()).padStart(2, '0');
     }
 
+    // Built once: creating a formatter per call is slow with thousands of rows.
+    var NAIRA_FORMAT = new Intl.NumberFormat('en-NG', {
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 2
+    });
+
     /** Format a number as Naira currency string. */
     function naira(n) {
-        return '₦' + Number(n).toLocaleString('en-NG', {
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 2
-        });
+        return '₦' + NAIRA_FORMAT.format(Number(n));
+    }
+
+    /** Compute line revenue: quantity * unitPrice (the discount is order-level) */
+    function lineRevenue(line) {
+        const qty = Number(line.quantity) || 0;
+        const price = Number(line.unitPrice) || 0;
+        return qty * price;
     }
 
-    /** Compute line revenue: quantity * unitPrice - discount */
-    function lineRevenue(sale) {
-        const qty = Number(sale.quantity) || 0;
-        const price = Number(sale.unitPrice) || 0;
-        const disc = Number(sale.discount) || 0;
-        return qty * price - disc;
+    /** Order revenue: sum of its lines minus the order discount */
+    function orderRevenue(sale) {
+        var total = 0;
+        sale.lines.forEach(function (line) { total += lineRevenue(line); });
+        return total - (Number(sale.discount) || 0);
+    }
+
+    /** Share of the order discount carried by one line, in proportion to its revenue. */
+    function lineDiscount(line, sale) {
+        var disc = Number(sale.discount) || 0;
+        if (!disc) return 0;
+        var gross = orderRevenue(sale) + disc;
+        return gross > 0 ? disc * lineRevenue(line) / gross : disc / sale.lines.length;
+    }
+
+    /** True if the line was recorded with its own cost per unit. */
+    function hasExplicitCost(line) {
+        return line.costPerUnit !== '' && line.costPerUnit !== null && line.costPerUnit !== undefined && !isNaN(Number(line.costPerUnit));
+    }
+
+    /**
+     * Unit cost used for a line's profit and where it came from:
+     * 'exact' (entered on the sale), 'estimated' (from restock batches) or 'none'.
+     * @param {Object} [estimates] – cost estimates of another journal; defaults to this one's
+     */
+    function lineCost(line, estimates) {
+        if (hasExplicitCost(line)) return { unitCost: Number(line.costPerUnit), basis: 'exact' };
+        estimates = estimates || getCostEstimates();
+        if (Object.prototype.hasOwnProperty.call(estimates, line.id)) return { unitCost: estimates[line.id], basis: 'estimated' };
+        return { unitCost: null, basis: 'none' };
     }
 
-    /** Compute line profit: if costPerUnit exists, use it; otherwise profit = revenue */
-    function lineProfit(sale) {
-        const qty = Number(sale.quantity) || 0;
-        const price = Number(sale.unitPrice) || 0;
-        const cost = Number(sale.costPerUnit);
-        const disc = Number(sale.discount) || 0;
-        if (!isNaN(cost) && sale.costPerUnit !== '' && sale.costPerUnit !== null && sale.costPerUnit !== undefined) {
-            return qty * (price - cost) - disc;
+    /** Compute line profit from the exact or estimated cost; with no cost at all, profit = revenue */
+    function lineProfit(line, estimates) {
+        const qty = Number(line.quantity) || 0;
+        const price = Number(line.unitPrice) || 0;
+        const cost = lineCost(line, estimates);
+        if (cost.basis !== 'none') {
+            return qty * (price - cost.unitCost);
         }
-        return lineRevenue(sale);
+        return lineRevenue(line);
+    }
+
+    /** Order profit: sum of line profits minus the order discount */
+    function orderProfit(sale, estimates) {
+        var total = 0;
+        sale.lines.forEach(function (line) { total += lineProfit(line, estimates); });
+        return total - (Number(sale.discount) || 0);
+    }
+
+    /** Total units across an order's lines. */
+    function orderQuantity(sale) {
+        var qty = 0;
+        sale.lines.forEach(function (line) { qty += Number(line.quantity) || 0; });
+        return qty;
+    }
+
+    /**
+     * Cost basis of a whole order: 'estimated' if any line is estimated,
+     * 'none' if any line has no cost, otherwise 'exact'.
+     */
+    function orderCostBasis(sale) {
+        var bases = sale.lines.map(function (line) { return lineCost(line).basis; });
+        if (bases.indexOf('estimated') !== -1) return 'estimated';
+        if (bases.indexOf('none') !== -1) return 'none';
+        return 'exact';
+    }
+
+    /** Total of the payments recorded on an order. */
+    function orderPaid(sale) {
+        var total = 0;
+        (sale.payments || []).forEach(function (p) { total += Number(p.amount) || 0; });
+        return total;
+    }
+
+    /** Total of the refunds recorded on an order; with `method`, only those refunded that way. */
+    function orderRefunded(sale, method) {
+        var total = 0;
+        (sale.refunds || []).forEach(function (r) {
+            if (!method || r.method === method) total += Number(r.amount) || 0;
+        });
+        return total;
+    }
+
+    /** Amount still owed on an order (never below zero). Returns taken off the balance reduce it. */
+    function orderBalance(sale) {
+        return Math.max(Math.round((orderRevenue(sale) - orderPaid(sale) - orderRefunded(sale, 'balance')) * 100) / 100, 0);
+    }
+
+    /** 'paid', 'partial' or 'unpaid' — see PAYMENT_STATUSES. */
+    function paymentStatus(sale) {
+        if (orderBalance(sale) === 0) return 'paid';
+        return orderPaid(sale) > 0 ? 'partial' : 'unpaid';
+    }
+
+    /** Format a profit figure, marking estimated ones with ≈. */
+    function profitLabel(value, basis) {
+        return (basis === 'estimated' ? '≈ ' : '') + naira(value);
+    }
+
+    function profitTitle(basis) {
+        if (basis === 'estimated') return 'Estimated from restock costs (' + COST_METHODS[costMethod] + ')';
+        if (basis === 'none') return 'No cost recorded for some items — their profit equals revenue';
+        return 'Exact cost entered on this sale';
     }
 
     /** Capitalise first letter. */
@@ -68,17 +264,105 @@
         return str.charAt(0).toUpperCase() + str.slice(1);
     }
 
-    // ── LocalStorage ───────────────────────────────────────
+    // ── Storage ────────────────────────────────────────────
+    // Single records are written as they change; the save*() functions
+    // sync a whole collection but SalesStore only writes what changed.
+
+    /** Drop cached lookups that are computed from the stored records. */
+    function invalidateDerived() {
+        costEstimates = null;
+        customerTypes = null;
+    }
+
+    /** Write one changed sale, stamping modifiedAt for sync. */
+    function saveSale(sale) {
+        invalidateDerived();
+        sale.modifiedAt = new Date().toISOString();
+        dropTombstone(sale.id);
+        SalesStore.put('sales', sale);
+        scheduleSync();
+    }
+
+    /** Delete one sale, leaving a tombstone so the deletion syncs. */
+    function removeSale(sale) {
+        invalidateDerived();
+        addTombstones([sale]);
+        SalesStore.remove('sales', sale.id);
+        scheduleSync();
+    }
+
+    function addTombstones(removed) {
+        var now = new Date().toISOString();
+        var marked = {};
+        removed.forEach(function (s) { marked[s.id] = true; });
+        tombstones = tombstones.filter(function (t) { return !marked[t.id]; }).concat(removed.map(function (s) {
+            return { id: s.id, deletedAt: now, syncRev: s.syncRev || 0 };
+        }));
+        SalesStore.sync('tombstones', tombstones);
+    }
+
+    function dropTombstone(id) {
+        if (!tombstones.some(function (t) { return t.id === id; })) return;
+        tombstones = tombstones.filter(function (t) { return t.id !== id; });
+        SalesStore.remove('tombstones', id);
+    }
+
+    function saveSales() {
+        invalidateDerived();
+        SalesStore.sync('sales', sales);
+    }
+
+    function saveProducts() {
+        SalesStore.sync('products', products);
+    }
+
+    function saveRestocks() {
+        invalidateDerived();
+        SalesStore.sync('restocks', restocks);
+    }
+
+    function saveCustomers() {
+        invalidateDerived();
+        SalesStore.sync('customers', customers);
+    }
+
+    function saveExpenses() {
+        SalesStore.sync('expenses', expenses);
+    }
+
+    function saveCashMovements() {
+        SalesStore.sync('cashMovements', cashMovements);
+    }
+
+    function saveReconciliations() {
+        SalesStore.sync('reconciliations', reconciliations);
+    }
 
-    function saveToLocalStorage() {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(sales));
+    function saveRecycleBin() {
+        SalesStore.sync('recycleBin', recycleBin);
     }
 
-    function loadFromLocalStorage() {
-        const raw = localStorage.getItem(STORAGE_KEY);
-        if (raw) {
-            try { sales = JSON.parse(raw); } catch { sales = []; }
+    /** Take the records loaded by SalesStore.open() and the saved settings. */
+    function loadFromStore(data) {
+        sales = data.sales;
+        products = data.products;
+        restocks = data.restocks;
+        customers = data.customers;
+        recycleBin = data.recycleBin;
+        tombstones = data.tombstones;
+        expenses = data.expenses;
+        cashMovements = data.cashMovements;
+        reconciliations = data.reconciliations;
+        openingBalances = SalesStore.getSetting('openingBalances') || null;
+        targets = SalesStore.getSetting('targets') || {};
+        filterPresets = SalesStore.getSetting('filterPresets') || [];
+        if (Number(SalesStore.getSetting('binDays')) >= 1) {
+            binDays = Number(SalesStore.getSetting('binDays'));
+        }
+        if (COST_METHODS[SalesStore.getSetting('costMethod')]) {
+            costMethod = SalesStore.getSetting('costMethod');
         }
+        invalidateDerived();
     }
 
     // ══════════════════════════════════════════════════════════
@@ -90,12 +374,8 @@
     // You can safely delete this block when no old data remains.
     // ══════════════════════════════════════════════════════════
     function migrateOldData() {
-        const oldRaw = localStorage.getItem(OLD_STORAGE_KEY);
-        if (!oldRaw) return; // nothing to migrate
-
-        let oldData;
-        try { oldData = JSON.parse(oldRaw); } catch { return; }
-        if (!Array.isArray(oldData) || oldData.length === 0) return;
+        const oldData = SalesStore.readLegacy(OLD_STORAGE_KEY);
+        if (!Array.isArray(oldData) || oldData.length === 0) return; // nothing to migrate
 
         const migrated = oldData.map(function (item) {
             const pnl = parseFloat(item.pnl);
@@ -119,27 +399,158 @@
 
         // Merge with any existing new-format data (unlikely but safe)
         sales = sales.concat(migrated);
-        saveToLocalStorage();
+        saveSales();
 
         // Clean up old keys
-        OLD_KEYS_TO_CLEAN.forEach(function (key) {
-            localStorage.removeItem(key);
-        });
+        SalesStore.clearLegacy(OLD_KEYS_TO_CLEAN);
 
         console.log('[Migration] Converted ' + migrated.length + ' old records to new format.');
     }
 
+    // ══════════════════════════════════════════════════════════
+    // MIGRATION TO MULTI-LINE ORDERS
+    // Sales used to hold a single item:
+    //   { id, date, customerType, customerId, itemName, productId, quantity,
+    //     unitPrice, costPerUnit, discount, paymentMethod, notes }
+    // Each one becomes an order with one line; the discount stays on the order.
+    // ══════════════════════════════════════════════════════════
+
+    /** Convert one single-item sale into a one-line order (no-op for orders). */
+    function toOrder(sale) {
+        if (Array.isArray(sale.lines)) return sale;
+        var order = {
+            id: sale.id,
+            date: sale.date,
+            customerType: sale.customerType,
+            customerId: sale.customerId || '',
+            paymentMethod: sale.paymentMethod,
+            discount: Number(sale.discount) || 0,
+            notes: sale.notes || '',
+            lines: [{
+                id: uid(),
+                productId: sale.productId || '',
+                itemName: sale.itemName,
+                quantity: sale.quantity,
+                unitPrice: sale.unitPrice,
+                costPerUnit: sale.costPerUnit === undefined ? '' : sale.costPerUnit
+            }]
+        };
+        return order;
+    }
+
+    function migrateSingleItemSales() {
+        var count = 0;
+        sales = sales.map(function (sale) {
+            if (Array.isArray(sale.lines)) return sale;
+            count++;
+            return toOrder(sale);
+        });
+        if (count === 0) return;
+        saveSales();
+        console.log('[Migration] Converted ' + count + ' single-item sales to one-line orders.');
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // MIGRATION TO AUDITED SALES
+    // Sales now carry createdAt, createdBy and a change history:
+    //   history: [{ at, by, changes: [{ field, from, to }] }]
+    // Older sales get createdAt from the timestamp at the start of their
+    // uid() id when it decodes to a sensible date, otherwise ''.
+    // ══════════════════════════════════════════════════════════
+
+    /** Creation time encoded in a uid(), or '' if the id wasn't made by uid(). */
+    function timeFromId(id) {
+        var ms = parseInt(String(id).slice(0, 8), 36);
+        if (!(ms > Date.UTC(2020, 0, 1)) || ms > Date.now() + 86400000) return '';
+        return new Date(ms).toISOString();
+    }
+
+    /** Add the audit fields to a sale that doesn't have them yet (no-op otherwise). */
+    function withAuditFields(sale) {
+        if (Array.isArray(sale.history)) return sale;
+        sale.createdAt = sale.createdAt || timeFromId(sale.id);
+        sale.createdBy = sale.createdBy || '';
+        sale.history = [];
+        return sale;
+    }
+
+    function migrateAuditFields() {
+        var count = 0;
+        sales.forEach(function (sale) {
+            if (Array.isArray(sale.history)) return;
+            withAuditFields(sale);
+            count++;
+        });
+        if (count === 0) return;
+        saveSales();
+        console.log('[Migration] Added audit fields to ' + count + ' sales.');
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // MIGRATION TO PAYMENTS
+    // Sales now carry the payments received for them:
+    //   payments: [{ id, date, method, amount }]
+    // Sales recorded before part payments existed were paid in full, so each
+    // gets one payment for its total, on its date, by its payment method.
+    // ══════════════════════════════════════════════════════════
+
+    /** Give a sale without a payments list one full payment (no-op otherwise). */
+    function withPayments(sale) {
+        if (Array.isArray(sale.payments)) return sale;
+        var total = orderRevenue(sale);
+        sale.payments = total > 0 ? [{ id: uid(), date: sale.date, method: sale.paymentMethod, amount: total }] : [];
+        return sale;
+    }
+
+    function migratePayments() {
+        var count = 0;
+        sales.forEach(function (sale) {
+            if (Array.isArray(sale.payments)) return;
+            withPayments(sale);
+            count++;
+        });
+        if (count === 0) return;
+        saveSales();
+        console.log('[Migration] Added payments to ' + count + ' sales.');
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // MIGRATION TO REFUNDS
+    // Sales now carry the returns recorded against them:
+    //   refunds: [{ id, date, lines: [{ lineId, quantity }], amount, method,
+    //               reason, restock, createdAt, createdBy }]
+    // Older sales had no returns, so they get an empty list.
+    // ══════════════════════════════════════════════════════════
+
+    /** Give a sale without a refunds list an empty one (no-op otherwise). */
+    function withRefunds(sale) {
+        if (!Array.isArray(sale.refunds)) sale.refunds = [];
+        return sale;
+    }
+
+    function migrateRefunds() {
+        var count = 0;
+        sales.forEach(function (sale) {
+            if (Array.isArray(sale.refunds)) return;
+            withRefunds(sale);
+            count++;
+        });
+        if (count === 0) return;
+        saveSales();
+        console.log('[Migration] Added refund lists to ' + count + ' sales.');
+    }
+
     // ── Theme ──────────────────────────────────────────────
 
     function applyTheme(theme) {
         document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem(THEME_KEY, theme);
+        SalesStore.setSetting('theme', theme);
         var icon = document.getElementById('themeIcon');
         if (icon) icon.textContent = theme === 'dark' ? '☀️' : '🌙';
     }
 
     function loadTheme() {
-        var saved = localStorage.getItem(THEME_KEY) || 'light';
+        var saved = SalesStore.getSetting('theme') || 'light';
         applyTheme(saved);
     }
 
@@ -149,191 +560,835 @@
     }
 
     // ── Filters ────────────────────────────────────────────
+    // The filter state is a plain object (see emptyFilters). It is read from
+    // and written to the filter inputs, saved as named presets, and mirrored
+    // in the URL hash so a bookmarked link reopens the same view.
 
-    function getFilters() {
+    // Filter field → URL hash parameter. Payments and items repeat their parameter once per value.
+    var FILTER_PARAMS = {
+        range: 'range', dateFrom: 'from', dateTo: 'to', customerType: 'customer', kind: 'show', search: 'q',
+        minRevenue: 'minRev', maxRevenue: 'maxRev', minProfit: 'minProfit', maxProfit: 'maxProfit', minQty: 'minQty', maxQty: 'maxQty'
+    };
+    var RANGE_FIELDS = ['minRevenue', 'maxRevenue', 'minProfit', 'maxProfit', 'minQty', 'maxQty'];
+
+    // Saved filters: [{ name, filters }], kept in settings.
+    var filterPresets = [];
+    // Pending re-filter while the user is still typing.
+    var filterTimer = null;
+
+    function emptyFilters() {
         return {
+            range: '', dateFrom: '', dateTo: '', customerType: 'all', kind: 'all', payments: [], items: [], search: '',
+            minRevenue: '', maxRevenue: '', minProfit: '', maxProfit: '', minQty: '', maxQty: ''
+        };
+    }
+
+    function getFilters() {
+        var f = {
+            range: document.getElementById('filterQuickRange').value,
             dateFrom: document.getElementById('filterDateFrom').value,
             dateTo: document.getElementById('filterDateTo').value,
             customerType: document.getElementById('filterCustomerType').value,
-            payment: document.getElementById('filterPayment').value,
-            search: document.getElementById('filterSearch').value.toLowerCase().trim()
+            kind: document.getElementById('filterKind').value,
+            payments: Array.prototype.map.call(document.querySelectorAll('input[name="filterPayment"]:checked'), function (el) { return el.value; }),
+            items: Array.prototype.map.call(document.getElementById('filterItems').selectedOptions, function (opt) { return opt.value; }),
+            search: document.getElementById('filterSearch').value.trim()
+        };
+        RANGE_FIELDS.forEach(function (key) {
+            f[key] = document.getElementById('filter' + ucfirst(key)).value;
+        });
+        return f;
+    }
+
+    /** Put a filter state into the inputs. A quick range sets the dates for today. */
+    function setFilters(f) {
+        f = Object.assign(emptyFilters(), f);
+        var range = f.range ? quickRange(f.range) : null;
+        document.getElementById('filterQuickRange').value = range ? f.range : '';
+        document.getElementById('filterDateFrom').value = range ? range.from : f.dateFrom;
+        document.getElementById('filterDateTo').value = range ? range.to : f.dateTo;
+        document.getElementById('filterCustomerType').value = CUSTOMER_TYPES.includes(f.customerType) ? f.customerType : 'all';
+        document.getElementById('filterKind').value = f.kind === 'sales' || f.kind === 'refunds' ? f.kind : 'all';
+        document.querySelectorAll('input[name="filterPayment"]').forEach(function (el) {
+            el.checked = f.payments.indexOf(el.value) !== -1;
+        });
+        renderItemFilterOptions(f.items);
+        document.getElementById('filterSearch').value = f.search;
+        RANGE_FIELDS.forEach(function (key) {
+            document.getElementById('filter' + ucfirst(key)).value = f[key] !== '' && isFinite(Number(f[key])) ? f[key] : '';
+        });
+    }
+
+    /** Dates for a quick range ('thisWeek', 'lastMonth', …) around today: { from, to }, or null. */
+    function quickRange(key) {
+        var d = parseISODate(todayISO());
+        var y = d.getUTCFullYear(), m = d.getUTCMonth(), day = d.getUTCDate();
+        var monday = day - ((d.getUTCDay() || 7) - 1);
+        var q = Math.floor(m / 3) * 3;
+        var utc = function (yy, mm, dd) { return new Date(Date.UTC(yy, mm, dd)); };
+        var ranges = {
+            today: [d, d],
+            thisWeek: [utc(y, m, monday), utc(y, m, monday + 6)],
+            lastWeek: [utc(y, m, monday - 7), utc(y, m, monday - 1)],
+            thisMonth: [utc(y, m, 1), utc(y, m + 1, 0)],
+            lastMonth: [utc(y, m - 1, 1), utc(y, m, 0)],
+            thisQuarter: [utc(y, q, 1), utc(y, q + 3, 0)],
+            lastQuarter: [utc(y, q - 3, 1), utc(y, q, 0)],
+            thisYear: [utc(y, 0, 1), utc(y, 11, 31)]
         };
+        if (!ranges[key]) return null;
+        return { from: formatISODate(ranges[key][0]), to: formatISODate(ranges[key][1]) };
+    }
+
+    /** Whether value() lies between min and max; blank bounds are open, and value() is only worked out if needed. */
+    function withinRange(min, max, value) {
+        if (min === '' && max === '') return true;
+        var v = value();
+        return (min === '' || v >= Number(min)) && (max === '' || v <= Number(max));
+    }
+
+    function itemPicked(f, name) {
+        name = name.toLowerCase();
+        return f.items.some(function (item) { return item.toLowerCase() === name; });
     }
 
     function applyFilters(data) {
         var f = getFilters();
+        if (f.kind === 'refunds') return [];
+        var search = f.search.toLowerCase();
         return data.filter(function (sale) {
             // Date range
             if (f.dateFrom && sale.date < f.dateFrom) return false;
             if (f.dateTo && sale.date > f.dateTo) return false;
             // Customer type
-            if (f.customerType !== 'all' && sale.customerType !== f.customerType) return false;
-            // Payment method
-            if (f.payment !== 'all' && sale.paymentMethod !== f.payment) return false;
-            // Text search on itemName or notes
-            if (f.search) {
-                var haystack = ((sale.itemName || '') + ' ' + (sale.notes || '')).toLowerCase();
-                if (haystack.indexOf(f.search) === -1) return false;
+            if (f.customerType !== 'all' && saleCustomerType(sale) !== f.customerType) return false;
+            // Payment methods (none ticked means all)
+            if (f.payments.length && f.payments.indexOf(sale.paymentMethod) === -1) return false;
+            // Items: the order has at least one of them
+            if (f.items.length && !sale.lines.some(function (line) { return itemPicked(f, lineItemName(line)); })) return false;
+            // Order revenue, profit and quantity
+            if (!withinRange(f.minRevenue, f.maxRevenue, function () { return orderRevenue(sale); })) return false;
+            if (!withinRange(f.minProfit, f.maxProfit, function () { return orderProfit(sale); })) return false;
+            if (!withinRange(f.minQty, f.maxQty, function () { return orderQuantity(sale); })) return false;
+            // Text search on item name, notes or customer name
+            if (search) {
+                var customer = findCustomer(sale.customerId);
+                var haystack = (sale.lines.map(lineItemName).join(' ') + ' ' + (sale.notes || '') + ' ' + (customer ? customer.name : '')).toLowerCase();
+                if (haystack.indexOf(search) === -1) return false;
             }
             return true;
         });
     }
 
-    function clearFilters() {
-        document.getElementById('filterDateFrom').value = '';
-        document.getElementById('filterDateTo').value = '';
-        document.getElementById('filterCustomerType').value = 'all';
-        document.getElementById('filterPayment').value = 'all';
-        document.getElementById('filterSearch').value = '';
+    /**
+     * Refunds on the given sales that match the filters, as [{ sale, refund }].
+     * Date and payment method are the refund's own, not the sale's, and the
+     * amount ranges apply to its negative revenue, profit and quantity.
+     */
+    function applyRefundFilters(data) {
+        var f = getFilters();
+        if (f.kind === 'sales') return [];
+        var search = f.search.toLowerCase();
+        var list = [];
+        data.forEach(function (sale) {
+            (sale.refunds || []).forEach(function (refund) {
+                if (f.dateFrom && refund.date < f.dateFrom) return;
+                if (f.dateTo && refund.date > f.dateTo) return;
+                if (f.customerType !== 'all' && saleCustomerType(sale) !== f.customerType) return;
+                if (f.payments.length && f.payments.indexOf(refund.method) === -1) return;
+                if (f.items.length && !refund.lines.some(function (rl) {
+                    var line = findSaleLine(sale, rl.lineId);
+                    return line && itemPicked(f, lineItemName(line));
+                })) return;
+                if (!withinRange(f.minRevenue, f.maxRevenue, function () { return -refund.amount; })) return;
+                if (!withinRange(f.minProfit, f.maxProfit, function () { return -refundProfit(sale, refund); })) return;
+                if (!withinRange(f.minQty, f.maxQty, function () { return -refundQuantity(refund); })) return;
+                if (search) {
+                    var customer = findCustomer(sale.customerId);
+                    var haystack = (refundTitle(sale, refund) + ' ' + (refund.reason || '') + ' ' + (customer ? customer.name : '')).toLowerCase();
+                    if (haystack.indexOf(search) === -1) return;
+                }
+                list.push({ sale: sale, refund: refund });
+            });
+        });
+        return list;
+    }
+
+    /** Fill the item picker with every product and item name sold, keeping the selection. */
+    function renderItemFilterOptions(selected) {
+        var select = document.getElementById('filterItems');
+        var keep = !selected;
+        if (keep) selected = getFilters().items;
+        var names = {};
+        products.forEach(function (p) { names[p.name.toLowerCase()] = p.name; });
+        sales.forEach(function (s) {
+            s.lines.forEach(function (line) {
+                var name = lineItemName(line);
+                if (!names[name.toLowerCase()]) names[name.toLowerCase()] = name;
+            });
+        });
+        // A picked item stays listed even if nothing by that name is left
+        selected.forEach(function (name) {
+            if (!names[name.toLowerCase()]) names[name.toLowerCase()] = name;
+        });
+        var keys = Object.keys(names).sort();
+        // Rebuilding the list mid-selection would lose the user's place
+        if (keep && select.dataset.names === keys.join('\n')) return;
+        select.dataset.names = keys.join('\n');
+        var picked = {};
+        selected.forEach(function (name) { picked[name.toLowerCase()] = true; });
+        select.innerHTML = keys.map(function (key) {
+            return '<option value="' + escapeHTML(names[key]) + '"' + (picked[key] ? ' selected' : '') + '>' + escapeHTML(names[key]) + '</option>';
+        }).join('');
+    }
+
+    /** URL hash (without '#') for a filter state; '' when nothing is filtered. */
+    function filtersToHash(f) {
+        var params = new URLSearchParams();
+        var empty = emptyFilters();
+        Object.keys(FILTER_PARAMS).forEach(function (key) {
+            if (f.range && (key === 'dateFrom' || key === 'dateTo')) return;
+            if (f[key] !== empty[key]) params.set(FILTER_PARAMS[key], f[key]);
+        });
+        f.payments.forEach(function (m) { params.append('pay', m); });
+        f.items.forEach(function (name) { params.append('item', name); });
+        return params.toString();
+    }
+
+    function filtersFromHash(hash) {
+        var params = new URLSearchParams(hash.replace(/^#/, ''));
+        var f = emptyFilters();
+        Object.keys(FILTER_PARAMS).forEach(function (key) {
+            if (params.has(FILTER_PARAMS[key])) f[key] = params.get(FILTER_PARAMS[key]);
+        });
+        f.payments = params.getAll('pay').filter(function (m) { return PAYMENT_METHODS.includes(m); });
+        f.items = params.getAll('item');
+        return f;
+    }
+
+    /** Mirror the filters in the URL hash without adding a browser history entry per keystroke. */
+    function writeFilterHash() {
+        var hash = filtersToHash(getFilters());
+        if (hash === location.hash.replace(/^#/, '')) return;
+        history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+    }
+
+    /** A filter input changed: a hand-picked date ends the quick range, and any saved filter no longer applies. */
+    function onFilterInput(e) {
+        if (e && (e.target.id === 'filterDateFrom' || e.target.id === 'filterDateTo')) {
+            document.getElementById('filterQuickRange').value = '';
+        }
+        if (e && e.target.id === 'filterQuickRange') {
+            var range = quickRange(e.target.value);
+            document.getElementById('filterDateFrom').value = range ? range.from : '';
+            document.getElementById('filterDateTo').value = range ? range.to : '';
+        }
+        document.getElementById('filterPreset').value = '';
+        document.getElementById('deletePresetBtn').disabled = true;
+        refilter();
+    }
+
+    /** Typing in a filter box: re-filter once the user pauses rather than on every keystroke. */
+    function onFilterTyping(e) {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(function () { onFilterInput(e); }, FILTER_DELAY_MS);
+    }
+
+    /** Apply the filters in the inputs: back to the first page of results, with the URL hash to match. */
+    function refilter() {
+        clearTimeout(filterTimer);
+        salesListLimit = SALES_PAGE_SIZE;
+        writeFilterHash();
         renderAll();
     }
 
+    function clearFilters() {
+        setFilters(emptyFilters());
+        document.getElementById('filterPreset').value = '';
+        document.getElementById('deletePresetBtn').disabled = true;
+        refilter();
+    }
+
+    // ── Filter presets ──
+
+    function renderPresetOptions() {
+        var select = document.getElementById('filterPreset');
+        var current = select.value;
+        select.innerHTML = '<option value="">' + (filterPresets.length ? 'Pick a saved filter…' : 'None saved yet') + '</option>' +
+            filterPresets.map(function (p) {
+                return '<option value="' + escapeHTML(p.name) + '">' + escapeHTML(p.name) + '</option>';
+            }).join('');
+        select.value = findPreset(current) ? current : '';
+        document.getElementById('deletePresetBtn').disabled = !select.value;
+    }
+
+    function findPreset(name) {
+        return filterPresets.find(function (p) { return p.name === name; }) || null;
+    }
+
+    function saveFilterPresets() {
+        SalesStore.setSetting('filterPresets', filterPresets);
+    }
+
+    function savePreset() {
+        var name = (prompt('Name these filters (e.g. "Big transfer orders"):') || '').trim();
+        if (!name) return;
+        if (findPreset(name) && !confirm('Replace the saved filter "' + name + '"?')) return;
+        var preset = { name: name, filters: getFilters() };
+        filterPresets = filterPresets.filter(function (p) { return p.name !== name; }).concat(preset)
+            .sort(function (a, b) { return a.name.localeCompare(b.name); });
+        saveFilterPresets();
+        renderPresetOptions();
+        document.getElementById('filterPreset').value = name;
+        document.getElementById('deletePresetBtn').disabled = false;
+        showToast('Filters saved as "' + name + '".');
+    }
+
+    function applyPreset(name) {
+        var preset = findPreset(name);
+        document.getElementById('deletePresetBtn').disabled = !preset;
+        if (!preset) return;
+        setFilters(preset.filters);
+        refilter();
+    }
+
+    function deletePreset(name) {
+        filterPresets = filterPresets.filter(function (p) { return p.name !== name; });
+        saveFilterPresets();
+        renderPresetOptions();
+    }
+
     // ── Summary ────────────────────────────────────────────
 
-    function calculateSummary(filtered) {
-        var totalRev = 0, totalProf = 0, newCount = 0, retCount = 0;
+    /** Totals for a list of sales; `refundList` ([{ sale, refund }]) is taken off revenue and profit. */
+    function calculateSummary(filtered, refundList, estimates) {
+        var totalRev = 0, totalProf = 0, collected = 0, owed = 0, newCount = 0, retCount = 0, estimated = 0, noCost = 0, refunded = 0;
         filtered.forEach(function (s) {
-            totalRev += lineRevenue(s);
-            totalProf += lineProfit(s);
-            if (s.customerType === 'new') newCount++;
+            totalRev += orderRevenue(s);
+            totalProf += orderProfit(s, estimates);
+            collected += orderPaid(s);
+            owed += orderBalance(s);
+            if (saleCustomerType(s) === 'new') newCount++;
             else retCount++;
+            s.lines.forEach(function (line) {
+                var basis = lineCost(line, estimates).basis;
+                if (basis === 'estimated') estimated++;
+                else if (basis === 'none') noCost++;
+            });
+        });
+        (refundList || []).forEach(function (entry) {
+            refunded += Number(entry.refund.amount) || 0;
+            totalProf -= refundProfit(entry.sale, entry.refund, estimates);
         });
-        return { totalRev: totalRev, totalProf: totalProf, newCount: newCount, retCount: retCount };
+        totalRev -= refunded;
+        return { totalRev: totalRev, totalProf: totalProf, collected: collected, owed: owed, newCount: newCount, retCount: retCount, estimated: estimated, noCost: noCost, refunded: refunded };
+    }
+
+    /** Note under a profit card saying how much of it is estimated or missing a cost. */
+    function profitNote(summary) {
+        var parts = [];
+        if (summary.estimated) parts.push(summary.estimated + (summary.estimated === 1 ? ' item' : ' items') + ' estimated');
+        if (summary.noCost) parts.push(summary.noCost + ' without cost');
+        return parts.length ? '≈ ' + parts.join(' · ') : '';
     }
 
+    /**
+     * Today's sales less today's refunds; cash collected counts every payment
+     * received today, including on older sales.
+     */
     function calculateTodaySummary() {
         var today = todayISO();
         var todaySales = sales.filter(function (s) { return s.date === today; });
-        return calculateSummary(todaySales);
+        var todayRefunds = [];
+        sales.forEach(function (s) {
+            (s.refunds || []).forEach(function (r) {
+                if (r.date === today) todayRefunds.push({ sale: s, refund: r });
+            });
+        });
+        var summary = calculateSummary(todaySales, todayRefunds);
+        summary.earlier = 0;
+        summary.collected = 0;
+        sales.forEach(function (s) {
+            (s.payments || []).forEach(function (p) {
+                if (p.date !== today) return;
+                summary.collected += Number(p.amount) || 0;
+                if (s.date !== today) summary.earlier += Number(p.amount) || 0;
+            });
+        });
+        return summary;
     }
 
-    function renderSummary(filtered) {
-        var s = calculateSummary(filtered);
-        document.getElementById('totalRevenue').textContent = naira(s.totalRev);
-        document.getElementById('totalProfit').textContent = naira(s.totalProf);
+    function renderSummary(filtered, refundList) {
+        var s = calculateSummary(filtered, refundList);
+        document.getElementById('totalRevenue').textContent = signedNaira(s.totalRev);
+        document.getElementById('totalRevenueNote').textContent = s.refunded ? 'after ' + naira(s.refunded) + ' refunded' : '';
+        document.getElementById('totalProfit').textContent = signedNaira(s.totalProf);
+        document.getElementById('totalProfitNote').textContent = profitNote(s);
+        document.getElementById('totalCollected').textContent = naira(s.collected);
+        document.getElementById('totalCollectedNote').textContent = s.owed ? naira(s.owed) + ' still owed' : '';
         document.getElementById('totalNew').textContent = s.newCount;
         document.getElementById('totalReturning').textContent = s.retCount;
 
         var t = calculateTodaySummary();
-        document.getElementById('todayRevenue').textContent = naira(t.totalRev);
-        document.getElementById('todayProfit').textContent = naira(t.totalProf);
+        document.getElementById('todayRevenue').textContent = signedNaira(t.totalRev);
+        document.getElementById('todayRevenueNote').textContent = t.refunded ? 'after ' + naira(t.refunded) + ' refunded' : '';
+        document.getElementById('todayProfit').textContent = signedNaira(t.totalProf);
+        document.getElementById('todayProfitNote').textContent = profitNote(t);
+        document.getElementById('todayCollected').textContent = naira(t.collected);
+        document.getElementById('todayCollectedNote').textContent = t.earlier ? naira(t.earlier) + ' from earlier sales' : '';
         document.getElementById('todayNew').textContent = t.newCount;
         document.getElementById('todayReturning').textContent = t.retCount;
+
+        renderGoals(t);
+    }
+
+    // ── Targets ─────────────────────────────────────────────
+    // Daily, weekly and monthly goals for revenue and gross profit. Progress
+    // always covers the current day, ISO week and month, whatever the filters.
+
+    /** Target for a period and measure, or null if none is set. */
+    function targetFor(period, measure) {
+        var value = targets[period] && targets[period][measure];
+        return Number(value) > 0 ? Number(value) : null;
+    }
+
+    /** Summary of sales, less refunds, dated between two ISO dates (inclusive). */
+    function summaryBetween(from, to, list, estimates) {
+        var inRange = function (date) { return date >= from && date <= to; };
+        var refundList = [];
+        list = list || sales;
+        list.forEach(function (s) {
+            (s.refunds || []).forEach(function (r) {
+                if (inRange(r.date)) refundList.push({ sale: s, refund: r });
+            });
+        });
+        return calculateSummary(list.filter(function (s) { return inRange(s.date); }), refundList, estimates);
+    }
+
+    /** Monday of the ISO week containing `iso`. */
+    function weekStartISO(iso) {
+        var d = parseISODate(iso);
+        d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() || 7) - 1));
+        return formatISODate(d);
+    }
+
+    function daysInMonth(iso) {
+        var d = parseISODate(iso);
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+    }
+
+    /** Progress bar plus what is left to reach the target. */
+    function goalHTML(actual, target) {
+        var pct = Math.max(Math.min(actual / target * 100, 100), 0);
+        var met = actual >= target;
+        return '<div class="goal-bar' + (met ? ' goal-bar--met' : '') + '" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="' + Math.round(pct) + '">' +
+            '<span style="width: ' + pct.toFixed(1) + '%"></span></div>' +
+            '<span class="goal-text">' + (met
+                ? 'Target ' + naira(target) + ' met'
+                : naira(target - actual) + ' to go · ' + Math.floor(pct) + '% of ' + naira(target)) + '</span>';
+    }
+
+    /**
+     * Today's targets go under the Today cards; this week's and this month's
+     * go under Overall, the month with a projection at the current run-rate.
+     */
+    function renderGoals(today) {
+        ['revenue', 'profit'].forEach(function (measure) {
+            var el = document.getElementById(measure === 'revenue' ? 'todayRevenueGoal' : 'todayProfitGoal');
+            var target = targetFor('day', measure);
+            el.hidden = target === null;
+            el.innerHTML = target === null ? '' : goalHTML(measure === 'revenue' ? today.totalRev : today.totalProf, target);
+        });
+
+        var iso = todayISO();
+        var week = summaryBetween(weekStartISO(iso), iso);
+        var month = summaryBetween(iso.slice(0, 8) + '01', iso);
+        var dayOfMonth = Number(iso.slice(8, 10));
+        var projection = {
+            revenue: month.totalRev / dayOfMonth * daysInMonth(iso),
+            profit: month.totalProf / dayOfMonth * daysInMonth(iso)
+        };
+
+        var html = '';
+        [['week', 'This Week', week], ['month', 'This Month', month]].forEach(function (entry) {
+            var period = entry[0];
+            var summary = entry[2];
+            var items = Object.keys(TARGET_MEASURES).filter(function (measure) { return targetFor(period, measure) !== null; });
+            if (items.length === 0) return;
+            html += '<div class="card goal-card"><span class="metric-label">' + entry[1] + '</span>' +
+                items.map(function (measure) {
+                    var actual = measure === 'revenue' ? summary.totalRev : summary.totalProf;
+                    var target = targetFor(period, measure);
+                    var projected = period === 'month'
+                        ? '<span class="goal-text">Projected month-end ' + signedNaira(Math.round(projection[measure])) +
+                            (projection[measure] >= target ? ' — on track' : ' — ' + naira(Math.round(target - projection[measure])) + ' short') + '</span>'
+                        : '';
+                    return '<div class="goal-item"><strong>' + TARGET_MEASURES[measure] + ': ' + signedNaira(actual) + '</strong>' +
+                        goalHTML(actual, target) + projected + '</div>';
+                }).join('') +
+                '</div>';
+        });
+        var goalsEl = document.getElementById('periodGoals');
+        goalsEl.hidden = html === '';
+        goalsEl.innerHTML = html;
+    }
+
+    /** Validate the targets form and return { valid, data }. Blank fields clear that target. */
+    function validateTargetsForm() {
+        var errors = {};
+        var data = {};
+        Object.keys(TARGET_PERIODS).forEach(function (period) {
+            Object.keys(TARGET_MEASURES).forEach(function (measure) {
+                var key = 'target' + ucfirst(period) + ucfirst(measure);
+                var value = document.getElementById(key).value;
+                if (value !== '' && !(Number(value) >= 0)) errors[key] = 'Enter an amount';
+                else if (Number(value) > 0) {
+                    data[period] = data[period] || {};
+                    data[period][measure] = Number(value);
+                }
+                document.getElementById(key + 'Error').textContent = errors[key] || '';
+            });
+        });
+        if (Object.keys(errors).length > 0) return { valid: false, data: null };
+        return { valid: true, data: data };
+    }
+
+    function saveTargets(data) {
+        targets = data;
+        SalesStore.setSetting('targets', data);
+        renderAll();
+    }
+
+    function openTargetsModal() {
+        Object.keys(TARGET_PERIODS).forEach(function (period) {
+            Object.keys(TARGET_MEASURES).forEach(function (measure) {
+                var key = 'target' + ucfirst(period) + ucfirst(measure);
+                var target = targetFor(period, measure);
+                document.getElementById(key).value = target === null ? '' : target;
+                document.getElementById(key + 'Error').textContent = '';
+            });
+        });
+        document.getElementById('targetsModal').hidden = false;
+    }
+
+    function closeTargetsModal() {
+        document.getElementById('targetsModal').hidden = true;
     }
 
     // ── Render sales list ──────────────────────────────────
 
-    function renderSalesList(filtered) {
-        // Sort by date descending, then by id descending for same date
-        filtered.sort(function (a, b) {
+    // Sort order of the sales list, and the entries it is currently showing.
+    // Only the first salesListLimit entries are in the page; "Show more" adds the next lot.
+    var salesSort = { key: 'date', dir: 'desc' };
+    var salesListEntries = [];
+    var salesListLimit = SALES_PAGE_SIZE;
+
+    /** Value an entry is sorted by; refunds count as negative revenue and profit. */
+    function entrySortValue(entry, key) {
+        if (key === 'item') return (entry.refund ? refundTitle(entry.sale, entry.refund) : orderTitle(entry.sale)).toLowerCase();
+        if (key === 'revenue') return entry.refund ? -(Number(entry.refund.amount) || 0) : orderRevenue(entry.sale);
+        if (key === 'profit') return entry.refund ? -refundProfit(entry.sale, entry.refund) : orderProfit(entry.sale);
+        return entry.date;
+    }
+
+    function renderSalesList(filtered, refundList) {
+        // Sales and refunds together, each on its own date
+        var entries = filtered.map(function (sale) {
+            return { date: sale.date, id: sale.id, sale: sale, refund: null };
+        }).concat((refundList || []).map(function (r) {
+            return { date: r.refund.date, id: r.refund.id, sale: r.sale, refund: r.refund };
+        }));
+
+        // Sort by the chosen column, then by date and id descending
+        var dir = salesSort.dir === 'asc' ? 1 : -1;
+        entries.forEach(function (entry) { entry.sortValue = entrySortValue(entry, salesSort.key); });
+        entries.sort(function (a, b) {
+            if (a.sortValue !== b.sortValue) return (a.sortValue > b.sortValue ? 1 : -1) * dir;
             if (b.date !== a.date) return b.date > a.date ? 1 : -1;
             return String(b.id) > String(a.id) ? 1 : -1;
         });
+        salesListEntries = entries;
+        renderSortIndicators();
 
         var emptyState = document.getElementById('emptyState');
         var countEl = document.getElementById('salesCount');
-        countEl.textContent = '(' + filtered.length + ')';
+        var refundCount = entries.length - filtered.length;
+        countEl.textContent = '(' + filtered.length + (refundCount ? ' · ' + refundCount + (refundCount === 1 ? ' refund' : ' refunds') : '') + ')';
 
-        if (filtered.length === 0) {
+        if (entries.length === 0) {
             emptyState.hidden = false;
             document.getElementById('salesTableBody').innerHTML = '';
             document.getElementById('salesCards').innerHTML = '';
+            renderShowMore();
+            renderSelection();
             return;
         }
         emptyState.hidden = true;
 
-        // ── Desktop table rows ──
-        var tbodyHTML = '';
-        filtered.forEach(function (sale) {
-            var rev = lineRevenue(sale);
-            var prof = lineProfit(sale);
-            tbodyHTML += '<tr>' +
-                '<td>' + sale.date + '</td>' +
-                '<td>' + escapeHTML(sale.itemName) + '</td>' +
-                '<td><span class="badge badge--' + sale.customerType + '">' + ucfirst(sale.customerType) + '</span></td>' +
-                '<td>' + sale.quantity + '</td>' +
-                '<td>' + naira(sale.unitPrice) + '</td>' +
-                '<td>' + naira(rev) + '</td>' +
-                '<td>' + naira(prof) + '</td>' +
-                '<td><span class="badge badge--' + sale.paymentMethod + '">' + ucfirst(sale.paymentMethod) + '</span></td>' +
-                '<td class="actions-cell">' +
-                '<button class="btn btn-sm btn-outline" data-edit="' + sale.id + '">Edit</button>' +
-                '<button class="btn btn-sm btn-danger-outline" data-delete="' + sale.id + '">Del</button>' +
-                '</td>' +
-                '</tr>';
-        });
-        document.getElementById('salesTableBody').innerHTML = tbodyHTML;
-
-        // ── Mobile cards ──
-        var cardsHTML = '';
-        filtered.forEach(function (sale) {
-            var rev = lineRevenue(sale);
-            var prof = lineProfit(sale);
-
-            cardsHTML += '<div class="sale-card" data-id="' + sale.id + '">' +
-                '<div class="sale-card-header">' +
-                '<div class="sale-card-main">' +
-                '<div class="sale-card-item">' + escapeHTML(sale.itemName) + '</div>' +
-                '<div class="sale-card-meta">' +
-                '<span>' + sale.date + '</span>' +
-                '<span class="badge badge--' + sale.customerType + '">' + ucfirst(sale.customerType) + '</span>' +
-                '<span class="badge badge--' + sale.paymentMethod + '">' + ucfirst(sale.paymentMethod) + '</span>' +
-                '</div>' +
-                '</div>' +
-                '</div>' +
-                '<div class="sale-card-amounts">' +
-                '<div><span class="amount-label">Revenue</span><span class="amount-value amount-revenue">' + naira(rev) + '</span></div>' +
-                '<div><span class="amount-label">Profit</span><span class="amount-value amount-profit">' + naira(prof) + '</span></div>' +
-                '<div><span class="amount-label">Qty</span><span class="amount-value">' + sale.quantity + '</span></div>' +
-                '</div>' +
-                '<div class="sale-card-details" id="details-' + sale.id + '">' +
-                '<p><strong>Unit Price:</strong> ' + naira(sale.unitPrice) + '</p>' +
-                (sale.costPerUnit !== '' && sale.costPerUnit !== null && sale.costPerUnit !== undefined ? '<p><strong>Cost/Unit:</strong> ' + naira(sale.costPerUnit) + '</p>' : '') +
-                (sale.discount ? '<p><strong>Discount:</strong> ' + naira(sale.discount) + '</p>' : '') +
-                (sale.notes ? '<p><strong>Notes:</strong> ' + escapeHTML(sale.notes) + '</p>' : '') +
-                '</div>' +
-                '<div class="sale-card-actions">' +
-                '<button class="sale-card-toggle" data-toggle="' + sale.id + '">Details ▾</button>' +
-                '<button class="btn btn-sm btn-outline" data-edit="' + sale.id + '">Edit</button>' +
-                '<button class="btn btn-sm btn-danger-outline" data-delete="' + sale.id + '">Delete</button>' +
-                '</div>' +
-                '</div>';
+        var shown = entries.slice(0, salesListLimit);
+        document.getElementById('salesTableBody').innerHTML = shown.map(entryRowHTML).join('');
+        document.getElementById('salesCards').innerHTML = shown.map(entryCardHTML).join('');
+        renderShowMore();
+        renderSelection();
+    }
+
+    /** Add the next page of entries below those already shown. */
+    function showMoreSales() {
+        var from = salesListLimit;
+        salesListLimit += SALES_PAGE_SIZE;
+        var more = salesListEntries.slice(from, salesListLimit);
+        document.getElementById('salesTableBody').insertAdjacentHTML('beforeend', more.map(entryRowHTML).join(''));
+        document.getElementById('salesCards').insertAdjacentHTML('beforeend', more.map(entryCardHTML).join(''));
+        renderShowMore();
+    }
+
+    function renderShowMore() {
+        var total = salesListEntries.length;
+        var shown = Math.min(salesListLimit, total);
+        document.getElementById('salesMore').hidden = shown >= total;
+        document.getElementById('salesMoreNote').textContent = 'Showing ' + shown.toLocaleString() + ' of ' + total.toLocaleString();
+        document.getElementById('salesMoreBtn').textContent = 'Show ' + Math.min(SALES_PAGE_SIZE, total - shown) + ' more';
+    }
+
+    /** Mark the sorted column header and keep the mobile sort picker in step. */
+    function renderSortIndicators() {
+        document.querySelectorAll('#salesTable [data-sort]').forEach(function (btn) {
+            var active = btn.getAttribute('data-sort') === salesSort.key;
+            btn.parentNode.setAttribute('aria-sort', active ? (salesSort.dir === 'asc' ? 'ascending' : 'descending') : 'none');
         });
-        document.getElementById('salesCards').innerHTML = cardsHTML;
+        document.getElementById('salesSort').value = salesSort.key + '-' + salesSort.dir;
+    }
+
+    /** Sort the list by a column; picking the current column again reverses it. */
+    function sortSales(key, dir) {
+        if (!dir) dir = key === salesSort.key ? (salesSort.dir === 'asc' ? 'desc' : 'asc') : (key === 'item' ? 'asc' : 'desc');
+        salesSort = { key: key, dir: dir };
+        salesListLimit = SALES_PAGE_SIZE;
+        renderAll();
+    }
+
+    function entryRowHTML(entry) {
+        return entry.refund ? refundRowHTML(entry.sale, entry.refund) : saleRowHTML(entry.sale);
+    }
+
+    function entryCardHTML(entry) {
+        return entry.refund ? refundCardHTML(entry.sale, entry.refund) : saleCardHTML(entry.sale);
+    }
+
+    /** Table row for an order; multi-item orders get hidden per-line rows that expand. */
+    function saleRowHTML(sale) {
+        var rev = orderRevenue(sale);
+        var basis = orderCostBasis(sale);
+        var multi = sale.lines.length > 1;
+        var html = '<tr>' +
+            '<td class="select-cell">' + selectBoxHTML(sale) + '</td>' +
+            '<td title="' + escapeHTML(auditTitle(sale)) + '">' + sale.date + '</td>' +
+            '<td>' + escapeHTML(orderTitle(sale)) +
+            (multi ? ' <button class="order-expand" data-expand="' + sale.id + '" aria-expanded="false">▸ ' + sale.lines.length + ' items</button>' : '') +
+            '</td>' +
+            '<td>' + customerBadge(sale) + '</td>' +
+            '<td>' + orderQuantity(sale) + '</td>' +
+            '<td>' + (multi ? '—' : naira(sale.lines[0].unitPrice)) + '</td>' +
+            '<td>' + naira(rev) + '</td>' +
+            '<td class="profit--' + basis + '" title="' + profitTitle(basis) + '">' + profitLabel(orderProfit(sale), basis) + '</td>' +
+            '<td>' + paymentCellHTML(sale) + '</td>' +
+            '<td class="actions-cell">' +
+            '<button class="btn btn-sm btn-outline" data-receipt="' + sale.id + '">Receipt</button>' +
+            '<button class="btn btn-sm btn-outline" data-edit="' + sale.id + '">Edit</button>' +
+            '<button class="btn btn-sm btn-outline" data-refund="' + sale.id + '">Return</button>' +
+            '<button class="btn btn-sm btn-danger-outline" data-delete="' + sale.id + '">Del</button>' +
+            '</td>' +
+            '</tr>';
+        if (multi) {
+            sale.lines.forEach(function (line) {
+                var lineBasis = lineCost(line).basis;
+                html += '<tr class="order-line-row" data-order-line="' + sale.id + '" hidden>' +
+                    '<td></td>' +
+                    '<td></td>' +
+                    '<td>' + escapeHTML(lineItemName(line)) + '</td>' +
+                    '<td></td>' +
+                    '<td>' + line.quantity + '</td>' +
+                    '<td>' + naira(line.unitPrice) + '</td>' +
+                    '<td>' + naira(lineRevenue(line)) + '</td>' +
+                    '<td class="profit--' + lineBasis + '" title="' + profitTitle(lineBasis) + '">' + profitLabel(lineProfit(line), lineBasis) + '</td>' +
+                    '<td colspan="2"></td>' +
+                    '</tr>';
+            });
+        }
+        return html;
+    }
+
+    function saleCardHTML(sale) {
+        var rev = orderRevenue(sale);
+        var basis = orderCostBasis(sale);
+
+        return '<div class="sale-card" data-id="' + sale.id + '">' +
+            '<div class="sale-card-header">' +
+            '<label class="sale-card-select">' + selectBoxHTML(sale) + '</label>' +
+            '<div class="sale-card-main">' +
+            '<div class="sale-card-item">' + escapeHTML(orderTitle(sale)) + '</div>' +
+            '<div class="sale-card-meta">' +
+            '<span>' + sale.date + '</span>' +
+            customerBadge(sale) +
+            paymentCellHTML(sale) +
+            '</div>' +
+            '</div>' +
+            '</div>' +
+            '<div class="sale-card-amounts">' +
+            '<div><span class="amount-label">Revenue</span><span class="amount-value amount-revenue">' + naira(rev) + '</span></div>' +
+            '<div><span class="amount-label">Profit</span><span class="amount-value amount-profit profit--' + basis + '" title="' + profitTitle(basis) + '">' + profitLabel(orderProfit(sale), basis) + '</span></div>' +
+            '<div><span class="amount-label">Qty</span><span class="amount-value">' + orderQuantity(sale) + '</span></div>' +
+            '</div>' +
+            '<div class="sale-card-details" id="details-' + sale.id + '">' +
+            (findCustomer(sale.customerId) ? '<p><strong>Customer:</strong> ' + escapeHTML(findCustomer(sale.customerId).name) + '</p>' : '') +
+            '<ul class="order-lines">' + sale.lines.map(function (line) {
+                var cost = lineCost(line);
+                return '<li>' + line.quantity + ' × ' + escapeHTML(lineItemName(line)) + ' @ ' + naira(line.unitPrice) +
+                    ' = <strong>' + naira(lineRevenue(line)) + '</strong>' +
+                    (cost.basis === 'exact' ? ' <span class="order-line-cost">cost ' + naira(cost.unitCost) + '/unit</span>' : '') +
+                    (cost.basis === 'estimated' ? ' <span class="order-line-cost">cost ≈ ' + naira(cost.unitCost) + '/unit (' + COST_METHODS[costMethod] + ')</span>' : '') +
+                    '</li>';
+            }).join('') + '</ul>' +
+            (sale.discount ? '<p><strong>Discount:</strong> ' + naira(sale.discount) + '</p>' : '') +
+            (paymentStatus(sale) !== 'paid' ? '<p><strong>Paid:</strong> ' + naira(orderPaid(sale)) + ' · <strong>Owed:</strong> ' + naira(orderBalance(sale)) + '</p>' : '') +
+            (orderRefunded(sale) ? '<p><strong>Refunded:</strong> ' + naira(orderRefunded(sale)) + '</p>' : '') +
+            (sale.notes ? '<p><strong>Notes:</strong> ' + escapeHTML(sale.notes) + '</p>' : '') +
+            historyHTML(sale) +
+            '</div>' +
+            '<div class="sale-card-actions">' +
+            '<button class="sale-card-toggle" data-toggle="' + sale.id + '">Details ▾</button>' +
+            '<button class="btn btn-sm btn-outline" data-receipt="' + sale.id + '">Receipt</button>' +
+            '<button class="btn btn-sm btn-outline" data-edit="' + sale.id + '">Edit</button>' +
+            '<button class="btn btn-sm btn-outline" data-refund="' + sale.id + '">Return</button>' +
+            '<button class="btn btn-sm btn-danger-outline" data-delete="' + sale.id + '">Delete</button>' +
+            '</div>' +
+            '</div>';
+    }
+
+    /** Payment method badge, plus the payment status unless paid in full; opens the payments modal. */
+    function paymentCellHTML(sale) {
+        var status = paymentStatus(sale);
+        return '<button type="button" class="payment-status-btn" data-payments="' + sale.id + '" title="Payments: ' + naira(orderPaid(sale)) + ' of ' + naira(orderRevenue(sale)) + '">' +
+            '<span class="badge badge--' + sale.paymentMethod + '">' + ucfirst(sale.paymentMethod) + '</span>' +
+            (status !== 'paid' ? '<span class="badge badge--' + status + '">' + PAYMENT_STATUSES[status] + '</span>' : '') +
+            '</button>';
+    }
+
+    /** Table row for a refund: negative amounts on the refund date, linking back to its sale. */
+    function refundRowHTML(sale, refund) {
+        var amount = Number(refund.amount) || 0;
+        return '<tr class="row--refund">' +
+            '<td class="select-cell"></td>' +
+            '<td title="' + escapeHTML('Refund on the sale of ' + sale.date + (refund.createdBy ? ' · recorded by ' + refund.createdBy : '')) + '">' + refund.date + '</td>' +
+            '<td>' + escapeHTML(refundTitle(sale, refund)) + (refund.reason ? '<span class="refund-reason">' + escapeHTML(refund.reason) + '</span>' : '') + '</td>' +
+            '<td>' + customerBadge(sale) + '</td>' +
+            '<td>−' + refundQuantity(refund) + '</td>' +
+            '<td>—</td>' +
+            '<td>' + signedNaira(-amount) + '</td>' +
+            '<td>' + signedNaira(-refundProfit(sale, refund)) + '</td>' +
+            '<td>' + refundBadgesHTML(refund) + '</td>' +
+            '<td class="actions-cell">' +
+            '<button class="btn btn-sm btn-outline" data-refund="' + sale.id + '">Returns</button>' +
+            '</td>' +
+            '</tr>';
+    }
+
+    function refundCardHTML(sale, refund) {
+        return '<div class="sale-card sale-card--refund">' +
+            '<div class="sale-card-header">' +
+            '<div class="sale-card-main">' +
+            '<div class="sale-card-item">' + escapeHTML(refundTitle(sale, refund)) + '</div>' +
+            '<div class="sale-card-meta">' +
+            '<span>' + refund.date + '</span>' +
+            customerBadge(sale) +
+            refundBadgesHTML(refund) +
+            '</div>' +
+            '</div>' +
+            '</div>' +
+            '<div class="sale-card-amounts">' +
+            '<div><span class="amount-label">Refund</span><span class="amount-value amount-revenue">' + signedNaira(-(Number(refund.amount) || 0)) + '</span></div>' +
+            '<div><span class="amount-label">Profit</span><span class="amount-value amount-profit">' + signedNaira(-refundProfit(sale, refund)) + '</span></div>' +
+            '<div><span class="amount-label">Qty</span><span class="amount-value">−' + refundQuantity(refund) + '</span></div>' +
+            '</div>' +
+            '<p class="refund-reason">' + escapeHTML((refund.reason ? refund.reason + ' · ' : '') + 'from the sale of ' + sale.date) + '</p>' +
+            '<div class="sale-card-actions">' +
+            '<button class="btn btn-sm btn-outline" data-refund="' + sale.id + '">Returns</button>' +
+            '</div>' +
+            '</div>';
+    }
+
+    function refundBadgesHTML(refund) {
+        return '<span class="badge badge--refund">Refund</span>' +
+            '<span class="badge badge--' + refund.method + '">' + refundMethodLabel(refund.method) + '</span>';
     }
 
-    /** Escape HTML entities to prevent XSS. */
+    var HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    /** Escape HTML entities to prevent XSS; quotes too, so the result is safe inside attributes. */
     function escapeHTML(str) {
         if (!str) return '';
-        var div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+        return String(str).replace(/[&<>"']/g, function (ch) { return HTML_ESCAPES[ch]; });
     }
 
     // ── Master render ──────────────────────────────────────
 
     function renderAll() {
+        renderItemFilterOptions();
         var filtered = applyFilters(sales);
-        renderSummary(filtered);
-        renderSalesList(filtered);
+        var refundList = applyRefundFilters(sales);
+        renderSummary(filtered, refundList);
+        renderSalesList(filtered, refundList);
+        renderStockWarning();
     }
 
     // ── Form validation ────────────────────────────────────
 
+    /**
+     * Check raw order-level values and return a map of field → error message.
+     * Shared by the Add/Edit forms, CSV import and backup restore.
+     */
+    function orderErrors(raw) {
+        var errors = {};
+        if (!raw.date || !/^\d{4}-\d{2}-\d{2}$/.test(raw.date)) errors.date = 'Date is required';
+        if (!CUSTOMER_TYPES.includes(raw.customerType)) errors.customerType = 'Select customer type';
+        if (!PAYMENT_METHODS.includes(raw.paymentMethod)) errors.paymentMethod = 'Select a payment method';
+        return errors;
+    }
+
+    /** Check raw line-item values and return a map of field → error message. */
+    function lineErrors(raw) {
+        var errors = {};
+        if (!String(raw.itemName || '').trim()) errors.itemName = 'Item name is required';
+        if (raw.quantity === '' || !(Number(raw.quantity) >= 1)) errors.quantity = 'Quantity must be at least 1';
+        if (raw.unitPrice === '' || !(Number(raw.unitPrice) >= 0)) errors.unitPrice = 'Unit price is required';
+        return errors;
+    }
+
+    /** Read one line-item row of the Add/Edit form: { id, raw, rowEl }. */
+    function readLineRow(rowEl) {
+        return {
+            id: rowEl.getAttribute('data-line-id'),
+            rowEl: rowEl,
+            raw: {
+                productId: rowEl.querySelector('.line-product').value,
+                itemName: rowEl.querySelector('.line-item').value,
+                quantity: rowEl.querySelector('.line-qty').value,
+                unitPrice: rowEl.querySelector('.line-price').value,
+                costPerUnit: rowEl.querySelector('.line-cost').value
+            }
+        };
+    }
+
     /**
      * Validate a form and return an object { valid, data }.
      * @param {string} prefix – '' for add form, 'edit' for edit form
      */
     function validateForm(prefix) {
         var isEdit = prefix === 'edit';
-        var getId = function (name) { return isEdit ? 'edit' + name.charAt(0).toUpperCase() + name.slice(1) : name; };
 
         var fields = {
-            date: { el: document.getElementById(isEdit ? 'editDate' : 'saleDate'), errEl: document.getElementById(isEdit ? 'editDateError' : 'saleDateError'), msg: 'Date is required' },
-            itemName: { el: document.getElementById(isEdit ? 'editItemName' : 'itemName'), errEl: document.getElementById(isEdit ? 'editItemNameError' : 'itemNameError'), msg: 'Item name is required' },
-            quantity: { el: document.getElementById(isEdit ? 'editQuantity' : 'quantity'), errEl: document.getElementById(isEdit ? 'editQuantityError' : 'quantityError'), msg: 'Quantity must be at least 1' },
-            unitPrice: { el: document.getElementById(isEdit ? 'editUnitPrice' : 'unitPrice'), errEl: document.getElementById(isEdit ? 'editUnitPriceError' : 'unitPriceError'), msg: 'Unit price is required' },
-            paymentMethod: { el: document.getElementById(isEdit ? 'editPaymentMethod' : 'paymentMethod'), errEl: document.getElementById(isEdit ? 'editPaymentMethodError' : 'paymentMethodError'), msg: 'Select a payment method' }
+            date: { el: document.getElementById(isEdit ? 'editDate' : 'saleDate'), errEl: document.getElementById(isEdit ? 'editDateError' : 'saleDateError') },
+            paymentMethod: { el: document.getElementById(isEdit ? 'editPaymentMethod' : 'paymentMethod'), errEl: document.getElementById(isEdit ? 'editPaymentMethodError' : 'paymentMethodError') }
         };
 
         // Customer type (radio)
@@ -341,107 +1396,4426 @@
         var ctChecked = document.querySelector('input[name="' + ctName + '"]:checked');
         var ctErrEl = document.getElementById(isEdit ? 'editCustomerTypeError' : 'customerTypeError');
 
-        var valid = true;
+        // A customer from the directory decides new/returning by their sale history
+        var customerId = document.getElementById(isEdit ? 'editCustomerSelect' : 'customerSelect').value;
+        if (!findCustomer(customerId)) customerId = '';
+        var customerType = ctChecked ? ctChecked.value : '';
+        if (customerId) {
+            customerType = customerTypeFor(customerId, fields.date.el.value, isEdit ? document.getElementById('editId').value : null);
+        }
+
+        var errors = orderErrors({
+            date: fields.date.el.value,
+            customerType: customerType,
+            paymentMethod: fields.paymentMethod.el.value
+        });
 
-        // Clear all errors first
         Object.keys(fields).forEach(function (key) {
-            fields[key].errEl.textContent = '';
+            fields[key].errEl.textContent = errors[key] || '';
+        });
+        ctErrEl.textContent = errors.customerType || '';
+        var valid = Object.keys(errors).length === 0;
+
+        // Line items — a completely blank extra row is ignored
+        var container = document.getElementById(isEdit ? 'editLines' : 'saleLines');
+        var rows = Array.prototype.map.call(container.querySelectorAll('.line-item-row'), readLineRow);
+        var filled = rows.filter(function (row) {
+            return row.raw.itemName.trim() || row.raw.quantity || row.raw.unitPrice || row.raw.costPerUnit;
         });
-        ctErrEl.textContent = '';
+        if (filled.length === 0) filled = rows.slice(0, 1);
 
-        // Validate required text/select/number inputs
-        if (!fields.date.el.value) { fields.date.errEl.textContent = fields.date.msg; valid = false; }
-        if (!fields.itemName.el.value.trim()) { fields.itemName.errEl.textContent = fields.itemName.msg; valid = false; }
-        if (!fields.quantity.el.value || Number(fields.quantity.el.value) < 1) { fields.quantity.errEl.textContent = fields.quantity.msg; valid = false; }
-        if (!fields.unitPrice.el.value || Number(fields.unitPrice.el.value) < 0) { fields.unitPrice.errEl.textContent = fields.unitPrice.msg; valid = false; }
-        if (!fields.paymentMethod.el.value) { fields.paymentMethod.errEl.textContent = fields.paymentMethod.msg; valid = false; }
-        if (!ctChecked) { ctErrEl.textContent = 'Select customer type'; valid = false; }
+        rows.forEach(function (row) {
+            var lineErrs = filled.indexOf(row) === -1 ? {} : lineErrors(row.raw);
+            row.rowEl.querySelector('.line-item-error').textContent = lineErrs.itemName || '';
+            row.rowEl.querySelector('.line-qty-error').textContent = lineErrs.quantity || '';
+            row.rowEl.querySelector('.line-price-error').textContent = lineErrs.unitPrice || '';
+            if (Object.keys(lineErrs).length > 0) valid = false;
+        });
+
+        // Items with returns recorded can't go below the returned quantity or be removed,
+        // and the sale can't be dated after its first return
+        var editing = isEdit ? findSale(document.getElementById('editId').value) : null;
+        if (editing && valid) {
+            var firstReturn = (editing.refunds || []).map(function (r) { return r.date; }).sort()[0];
+            if (firstReturn && fields.date.el.value > firstReturn) {
+                fields.date.errEl.textContent = 'Can’t be after the first return (' + firstReturn + ')';
+                valid = false;
+            }
+            var kept = {};
+            filled.forEach(function (row) {
+                if (!row.id) return;
+                kept[row.id] = true;
+                var returned = refundedQuantity(editing, row.id);
+                if (Number(row.raw.quantity) < returned) {
+                    row.rowEl.querySelector('.line-qty-error').textContent = returned + ' already returned';
+                    valid = false;
+                }
+            });
+            var removed = editing.lines.filter(function (line) { return !kept[line.id] && refundedQuantity(editing, line.id) > 0; });
+            if (removed.length > 0) {
+                alert(removed.map(lineItemName).join(', ') + ' has returns recorded. Delete those returns before removing it from the sale.');
+                valid = false;
+            }
+        }
+
+        // Amount paid now (Add form only — the Edit form keeps the recorded payments)
+        var paidEl = isEdit ? null : document.getElementById('amountPaid');
+        var paidErrEl = isEdit ? null : document.getElementById('amountPaidError');
+        if (paidEl) {
+            paidErrEl.textContent = paidEl.value !== '' && !(Number(paidEl.value) >= 0) ? 'Amount paid must be 0 or more' : '';
+            if (paidErrEl.textContent) valid = false;
+        }
 
         if (!valid) return { valid: false, data: null };
 
-        return {
-            valid: true,
-            data: {
-                date: fields.date.el.value,
-                customerType: ctChecked.value,
-                itemName: fields.itemName.el.value.trim(),
-                quantity: Number(fields.quantity.el.value),
-                unitPrice: Number(fields.unitPrice.el.value),
-                costPerUnit: document.getElementById(isEdit ? 'editCostPerUnit' : 'costPerUnit').value !== '' ? Number(document.getElementById(isEdit ? 'editCostPerUnit' : 'costPerUnit').value) : '',
-                discount: Number(document.getElementById(isEdit ? 'editDiscount' : 'discount').value) || 0,
-                paymentMethod: fields.paymentMethod.el.value,
-                notes: document.getElementById(isEdit ? 'editNotes' : 'notes').value.trim()
+        var data = {
+            date: fields.date.el.value,
+            customerType: customerType,
+            customerId: customerId,
+            discount: Number(document.getElementById(isEdit ? 'editDiscount' : 'discount').value) || 0,
+            paymentMethod: fields.paymentMethod.el.value,
+            notes: document.getElementById(isEdit ? 'editNotes' : 'notes').value.trim(),
+            lines: filled.map(function (row) {
+                return {
+                    id: row.id || uid(),
+                    productId: row.raw.productId,
+                    itemName: row.raw.itemName.trim(),
+                    quantity: Number(row.raw.quantity),
+                    unitPrice: Number(row.raw.unitPrice),
+                    costPerUnit: row.raw.costPerUnit !== '' ? Number(row.raw.costPerUnit) : ''
+                };
+            })
+        };
+
+        if (paidEl) {
+            var total = orderRevenue(data);
+            var paid = paidEl.value === '' ? total : Number(paidEl.value);
+            if (paid > total) {
+                paidErrEl.textContent = 'More than the order total (' + naira(total) + ')';
+                return { valid: false, data: null };
+            }
+            data.payments = paid > 0 ? [{ id: uid(), date: data.date, method: data.paymentMethod, amount: paid }] : [];
+        }
+
+        // Payments received can't add up to more than the new total (a single
+        // payment in full follows the total, see carryPayments)
+        if (editing) {
+            var followsTotal = (editing.payments || []).length === 1 && editing.payments[0].amount === orderRevenue(editing);
+            if (!followsTotal && orderPaid(editing) > orderRevenue(data)) {
+                alert(naira(orderPaid(editing)) + ' has already been paid on this sale, more than the new total of ' + naira(orderRevenue(data)) +
+                    '.\n\nDelete or adjust a payment first, then edit the sale.');
+                return { valid: false, data: null };
+            }
+        }
+
+        return { valid: true, data: data };
+    }
+
+    // ── Line-item rows (Add/Edit forms) ─────────────────────
+
+    /** HTML for one editable line-item row. */
+    function lineRowHTML(line) {
+        line = line || {};
+        var cost = hasExplicitCost(line) ? line.costPerUnit : '';
+        return '<div class="line-item-row" data-line-id="' + (line.id || '') + '">' +
+            '<div class="form-group line-field--product">' +
+            '<label>Product</label>' +
+            '<select class="line-product" aria-label="Product">' + productOptionsHTML(line.productId) + '</select>' +
+            '</div>' +
+            '<div class="form-group line-field--item">' +
+            '<label>Item <span class="required">*</span></label>' +
+            '<input type="text" class="line-item" placeholder="e.g. Glow Serum" aria-label="Item name" value="' + escapeHTML(line.id ? lineItemName(line) : '') + '">' +
+            '<span class="error-msg line-item-error"></span>' +
+            '</div>' +
+            '<div class="form-group">' +
+            '<label>Qty <span class="required">*</span></label>' +
+            '<input type="number" class="line-qty" min="1" step="1" placeholder="1" aria-label="Quantity" value="' + (line.quantity || '') + '">' +
+            '<span class="error-msg line-qty-error"></span>' +
+            '</div>' +
+            '<div class="form-group">' +
+            '<label>Unit Price (₦) <span class="required">*</span></label>' +
+            '<input type="number" class="line-price" min="0" step="0.01" placeholder="0.00" aria-label="Unit price" value="' + (line.unitPrice !== undefined ? line.unitPrice : '') + '">' +
+            '<span class="error-msg line-price-error"></span>' +
+            '</div>' +
+            '<div class="form-group">' +
+            '<label>Cost per Unit (₦)</label>' +
+            '<input type="number" class="line-cost" min="0" step="0.01" placeholder="Optional" aria-label="Cost per unit" value="' + cost + '">' +
+            '</div>' +
+            '<button type="button" class="line-remove" data-remove-line aria-label="Remove item" title="Remove item">✕</button>' +
+            '</div>';
+    }
+
+    /** Replace the rows in a line-item container (one blank row if `lines` is empty). */
+    function setLineRows(containerId, lines) {
+        var container = document.getElementById(containerId);
+        container.innerHTML = (lines && lines.length ? lines : [null]).map(lineRowHTML).join('');
+        container.querySelectorAll('.line-item-row').forEach(function (row, i) {
+            var line = lines && lines[i];
+            row.querySelector('.line-product').value = line && findProduct(line.productId) ? line.productId : '';
+        });
+        updateOrderTotal(containerId);
+    }
+
+    function addLineRow(containerId) {
+        var container = document.getElementById(containerId);
+        container.insertAdjacentHTML('beforeend', lineRowHTML(null));
+        container.lastElementChild.querySelector('.line-product').focus();
+        updateOrderTotal(containerId);
+    }
+
+    function removeLineRow(rowEl) {
+        var container = rowEl.parentElement;
+        if (container.querySelectorAll('.line-item-row').length > 1) {
+            rowEl.remove();
+        } else {
+            setLineRows(container.id, []);
+        }
+        updateOrderTotal(container.id);
+    }
+
+    /** Live order total under the line items. */
+    function updateOrderTotal(containerId) {
+        var isEdit = containerId === 'editLines';
+        var container = document.getElementById(containerId);
+        var total = 0, count = 0;
+        container.querySelectorAll('.line-item-row').forEach(function (rowEl) {
+            var raw = readLineRow(rowEl).raw;
+            var rev = lineRevenue(raw);
+            if (rev) count++;
+            total += rev;
+        });
+        total -= Number(document.getElementById(isEdit ? 'editDiscount' : 'discount').value) || 0;
+        document.getElementById(isEdit ? 'editOrderTotal' : 'saleOrderTotal').textContent =
+            count ? 'Order total: ' + naira(total) + ' (' + count + (count === 1 ? ' item)' : ' items)') : '';
+    }
+
+    // ── Quick entry ─────────────────────────────────────────
+    // One line such as "2 shea butter @3500 trf ret" becomes a sale:
+    //   2 (or 2x, x2)          quantity, 1 if left out
+    //   @3500, @3.5k           unit price; a product's own price if left out
+    //   cost1200, c1200        cost per unit (optional)
+    //   -500, -10%             order discount (optional)
+    //   cash, trf, pos, …      payment method (see QUICK_ALIASES)
+    //   new, ret               customer type
+    // Everything else is the item name. Anything unclear opens the full form instead.
+
+    var QUICK_ALIASES = {
+        cash: ['paymentMethod', 'cash'], csh: ['paymentMethod', 'cash'],
+        transfer: ['paymentMethod', 'transfer'], trf: ['paymentMethod', 'transfer'], tf: ['paymentMethod', 'transfer'], trans: ['paymentMethod', 'transfer'], bank: ['paymentMethod', 'transfer'],
+        pos: ['paymentMethod', 'pos'], card: ['paymentMethod', 'pos'],
+        online: ['paymentMethod', 'online'], onl: ['paymentMethod', 'online'], web: ['paymentMethod', 'online'],
+        new: ['customerType', 'new'],
+        returning: ['customerType', 'returning'], ret: ['customerType', 'returning'], rtn: ['customerType', 'returning'], repeat: ['customerType', 'returning']
+    };
+
+    /** "3,500" → 3500, "3.5k" → 3500; NaN if not an amount. */
+    function parseQuickAmount(text) {
+        var m = /^(\d+(?:\.\d+)?)(k?)$/i.exec(String(text).replace(/,/g, ''));
+        if (!m) return NaN;
+        return Number(m[1]) * (m[2] ? 1000 : 1);
+    }
+
+    /** Active products whose name contains every typed word. */
+    function productsMatching(name) {
+        var exact = findProductByName(name);
+        if (exact) return [exact];
+        var words = name.toLowerCase().split(/\s+/);
+        return products.filter(function (p) {
+            return !p.archived && words.every(function (w) { return p.name.toLowerCase().indexOf(w) !== -1; });
+        });
+    }
+
+    /**
+     * Read a quick-entry line into { data, problems }. `data` is a sale like
+     * validateForm's (paid in full on the Add form's date); `problems` lists
+     * what is missing, unclear or invalid, and is empty when it can be saved.
+     */
+    function parseQuickEntry(text) {
+        var problems = [];
+        var found = { quantity: '', unitPrice: '', costPerUnit: '', discount: '', paymentMethod: '', customerType: '' };
+        var words = [];
+        var set = function (field, value, label) {
+            if (found[field] !== '' && found[field] !== value) problems.push('Two ' + label + 's given');
+            found[field] = value;
+        };
+        var tokens = text.trim().split(/\s+/).filter(Boolean);
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            var lower = token.toLowerCase();
+            var m;
+            if (token === '@' && i + 1 < tokens.length) token = '@' + tokens[++i];
+            if (QUICK_ALIASES[lower]) {
+                set(QUICK_ALIASES[lower][0], QUICK_ALIASES[lower][1], QUICK_ALIASES[lower][0] === 'paymentMethod' ? 'payment method' : 'customer type');
+            } else if ((m = /^x?(\d+)x?$/i.exec(token)) && (i === 0 || /x/i.test(token))) {
+                set('quantity', Number(m[1]), 'quantit');
+            } else if (token.charAt(0) === '@') {
+                var price = parseQuickAmount(token.slice(1));
+                if (isNaN(price)) problems.push('"' + token + '" is not a price');
+                else set('unitPrice', price, 'price');
+            } else if ((m = /^(?:cost|c)[:=@]?(.+)$/i.exec(token)) && !isNaN(parseQuickAmount(m[1]))) {
+                set('costPerUnit', parseQuickAmount(m[1]), 'cost');
+            } else if ((m = /^-(.+?)(%?)$/.exec(token)) && !isNaN(parseQuickAmount(m[1]))) {
+                set('discount', { value: parseQuickAmount(m[1]), percent: !!m[2] }, 'discount');
+            } else if (/^[\d.,]+k?$/i.test(token)) {
+                problems.push('Not sure what ' + token + ' is — write @' + token + ' for the price');
+            } else {
+                words.push(token);
+            }
+        }
+        if (found.quantity === '') found.quantity = 1;
+
+        // The item: a product if the name points at exactly one
+        var itemName = words.join(' ');
+        var product = null;
+        if (itemName) {
+            var matches = productsMatching(itemName);
+            if (matches.length === 1) product = matches[0];
+            else if (matches.length > 1 && !findProductByName(itemName)) {
+                problems.push('"' + itemName + '" matches ' + matches.length + ' products: ' + matches.slice(0, 3).map(function (p) { return p.name; }).join(', ') + (matches.length > 3 ? '…' : ''));
             }
+        }
+        if (product) {
+            itemName = product.name;
+            if (found.unitPrice === '') found.unitPrice = product.price;
+            if (found.costPerUnit === '' && product.cost !== '') found.costPerUnit = product.cost;
+        }
+
+        var line = {
+            id: uid(),
+            productId: product ? product.id : '',
+            itemName: itemName,
+            quantity: found.quantity,
+            unitPrice: found.unitPrice,
+            costPerUnit: found.costPerUnit
+        };
+        var data = {
+            date: document.getElementById('saleDate').value || todayISO(),
+            customerType: found.customerType,
+            customerId: '',
+            discount: 0,
+            paymentMethod: found.paymentMethod,
+            notes: '',
+            lines: [line]
         };
+        var gross = lineRevenue(line);
+        if (found.discount) {
+            data.discount = found.discount.percent ? Math.round(gross * found.discount.value) / 100 : found.discount.value;
+            if (data.discount > gross) problems.push('Discount is more than the order');
+        }
+
+        // The same rules as the Add Sale form
+        var errors = Object.assign(lineErrors(line), orderErrors(data));
+        if (errors.unitPrice) errors.unitPrice = 'Price is missing (e.g. @3500)';
+        if (errors.paymentMethod) errors.paymentMethod = 'Payment is missing (cash, trf, pos or online)';
+        if (errors.customerType) errors.customerType = 'Customer type is missing (new or ret)';
+        ['itemName', 'quantity', 'unitPrice', 'paymentMethod', 'customerType', 'date'].forEach(function (key) {
+            if (errors[key]) problems.push(errors[key]);
+        });
+
+        var paid = orderRevenue(data);
+        data.payments = paid > 0 ? [{ id: uid(), date: data.date, method: data.paymentMethod, amount: paid }] : [];
+        return { data: data, problems: problems };
+    }
+
+    /** Live preview under the quick-entry box of what Enter will save, or why it will open the form. */
+    function renderQuickPreview() {
+        var text = document.getElementById('quickEntry').value;
+        var preview = document.getElementById('quickPreview');
+        var btn = document.getElementById('quickEntryBtn');
+        if (!text.trim()) {
+            preview.textContent = '';
+            preview.className = 'quick-preview';
+            btn.textContent = 'Add';
+            return;
+        }
+        var parsed = parseQuickEntry(text);
+        var sale = parsed.data;
+        var line = sale.lines[0];
+        if (parsed.problems.length) {
+            preview.textContent = parsed.problems.join(' · ') + ' — Enter opens the full form.';
+            preview.className = 'quick-preview quick-preview--problem';
+            btn.textContent = 'Open Form';
+            return;
+        }
+        preview.textContent = line.quantity + ' × ' + line.itemName + (line.productId ? '' : ' (not in the catalogue)') + ' @ ' + naira(line.unitPrice) +
+            (sale.discount ? ' less ' + naira(sale.discount) : '') + ' = ' + naira(orderRevenue(sale)) +
+            ' · ' + ucfirst(sale.paymentMethod) + ' · ' + ucfirst(sale.customerType) + ' · ' + sale.date;
+        preview.className = 'quick-preview quick-preview--ok';
+        btn.textContent = 'Add';
+    }
+
+    /** Save the quick-entry line, or put what was understood into the full form. */
+    function submitQuickEntry() {
+        var input = document.getElementById('quickEntry');
+        if (!input.value.trim()) return;
+        var parsed = parseQuickEntry(input.value);
+        if (parsed.problems.length) {
+            openQuickInForm(parsed.data);
+            return;
+        }
+        if (!confirmStockForSale(parsed.data)) return;
+        addSale(parsed.data);
+        input.value = '';
+        renderQuickPreview();
+        input.focus();
+    }
+
+    function openQuickInForm(data) {
+        var line = data.lines[0];
+        setLineRows('saleLines', line.itemName || line.unitPrice !== '' ? [line] : []);
+        document.getElementById('customerSelect').value = '';
+        syncCustomerType('');
+        document.querySelectorAll('input[name="customerType"]').forEach(function (radio) {
+            radio.checked = radio.value === data.customerType;
+        });
+        document.getElementById('paymentMethod').value = data.paymentMethod;
+        document.getElementById('discount').value = data.discount || '';
+        document.getElementById('quickEntry').value = '';
+        renderQuickPreview();
+        // Show what is still missing, and go to the first gap
+        validateForm('');
+        var form = document.getElementById('saleForm');
+        var firstError = Array.prototype.find.call(form.querySelectorAll('.error-msg'), function (el) { return el.textContent; });
+        var field = firstError && firstError.parentNode.querySelector('input, select');
+        (field || form.querySelector('.line-item')).focus();
     }
 
     // ── CRUD operations ────────────────────────────────────
 
     function addSale(data) {
         data.id = uid();
+        recordChange('Add sale', [data.id]);
+        linkProducts(data);
+        stampCreated(data);
+        withRefunds(data);
         sales.push(data);
-        saveToLocalStorage();
+        saveSale(data);
+        renderAll();
+        showToast('Sale added.', 'Undo', undo);
+    }
+
+    function updateSale(id, data) {
+        var idx = sales.findIndex(function (s) { return s.id === id; });
+        if (idx === -1) return;
+        recordChange('Edit sale', [id]);
+        linkProducts(data);
+        data.id = id;
+        if (sales[idx].receiptNo) data.receiptNo = sales[idx].receiptNo;
+        carryPayments(sales[idx], data);
+        data.refunds = (sales[idx].refunds || []).slice();
+        carryHistory(sales[idx], data);
+        moveToRecycleBin([sales[idx]], 'edited');
+        sales[idx] = data;
+        saveSale(data);
+        renderAll();
+        showToast('Sale updated. The old version is in the recycle bin.', 'Undo', undo);
+    }
+
+    function deleteSale(id) {
+        var sale = findSale(id);
+        if (!sale) return;
+        recordChange('Delete sale', [id]);
+        moveToRecycleBin([sale], 'deleted');
+        sales = sales.filter(function (s) { return s.id !== id; });
+        removeSale(sale);
+        renderAll();
+        showToast('Sale moved to the recycle bin.', 'Undo', undo);
+    }
+
+    function findSale(id) {
+        return sales.find(function (s) { return s.id === id; });
+    }
+
+    // ── Bulk actions ────────────────────────────────────────
+    // Sales ticked in the list, by id. The selection survives filtering, so it
+    // can be built up from several searches before acting on it.
+
+    var selectedSales = {};
+    var BULK_TITLES = { payment: 'Change Payment Method', customerType: 'Change Customer Type', date: 'Change Date', discount: 'Apply a Discount' };
+    var bulkAction = '';
+
+    function selectedSaleList() {
+        return sales.filter(function (s) { return selectedSales[s.id]; });
+    }
+
+    /** "12 sales worth ₦123,000" */
+    function bulkSummary(list) {
+        var revenue = 0;
+        list.forEach(function (s) { revenue += orderRevenue(s); });
+        return list.length + (list.length === 1 ? ' sale' : ' sales') + ' worth ' + naira(revenue);
+    }
+
+    function setSelected(id, on) {
+        if (on) selectedSales[id] = true;
+        else delete selectedSales[id];
+        // The table row and the mobile card carry the same checkbox
+        document.querySelectorAll('[data-select="' + id + '"]').forEach(function (box) { box.checked = on; });
+        renderSelection();
+    }
+
+    function selectAllMatching() {
+        applyFilters(sales).forEach(function (s) { selectedSales[s.id] = true; });
+        renderSalesList(applyFilters(sales), applyRefundFilters(sales));
+    }
+
+    function clearSelection() {
+        selectedSales = {};
+        renderSalesList(applyFilters(sales), applyRefundFilters(sales));
+    }
+
+    /** Selection count, bulk buttons and the header tick box; forgets sales that no longer exist. */
+    function renderSelection() {
+        var existing = {};
+        sales.forEach(function (s) { existing[s.id] = true; });
+        Object.keys(selectedSales).forEach(function (id) { if (!existing[id]) delete selectedSales[id]; });
+
+        var list = selectedSaleList();
+        var matching = salesListEntries.filter(function (entry) { return !entry.refund; });
+        var allTicked = matching.length > 0 && matching.every(function (entry) { return selectedSales[entry.sale.id]; });
+        document.getElementById('bulkBar').hidden = matching.length === 0 && list.length === 0;
+        document.getElementById('bulkCount').textContent = list.length ? bulkSummary(list) + ' selected' : 'None selected';
+        document.getElementById('bulkSelectAllBtn').textContent = 'Select all ' + matching.length + ' matching';
+        document.getElementById('bulkSelectAllBtn').disabled = allTicked;
+        document.getElementById('bulkClearBtn').disabled = list.length === 0;
+        document.querySelectorAll('[data-bulk]').forEach(function (btn) { btn.disabled = list.length === 0; });
+        var header = document.getElementById('selectAllSales');
+        header.checked = allTicked;
+        header.indeterminate = !allTicked && matching.some(function (entry) { return selectedSales[entry.sale.id]; });
+    }
+
+    function selectBoxHTML(sale) {
+        return '<input type="checkbox" class="sale-select" data-select="' + sale.id + '"' + (selectedSales[sale.id] ? ' checked' : '') +
+            ' aria-label="' + escapeHTML('Select ' + sale.date + ' ' + orderTitle(sale)) + '">';
+    }
+
+    /**
+     * What a bulk change would do to the selected sales: the new field values
+     * per sale, and how many were left out and why. Null with an error message
+     * if the entered value is not valid.
+     */
+    function bulkPlan(action) {
+        var changes = [];
+        var skipped = {};
+        var skip = function (reason) { skipped[reason] = (skipped[reason] || 0) + 1; };
+        var value;
+        if (action === 'payment') {
+            value = document.getElementById('bulkPaymentMethod').value;
+            if (!PAYMENT_METHODS.includes(value)) return { error: 'Select a payment method' };
+        } else if (action === 'customerType') {
+            value = document.getElementById('bulkCustomerType').value;
+            if (!CUSTOMER_TYPES.includes(value)) return { error: 'Select a customer type' };
+        } else if (action === 'date') {
+            value = document.getElementById('bulkDate').value;
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: 'Date is required' };
+        } else if (action === 'discount') {
+            value = document.getElementById('bulkDiscountValue').value;
+            if (value === '' || !(Number(value) >= 0)) return { error: 'Enter a discount of 0 or more' };
+            value = Number(value);
+            if (document.getElementById('bulkDiscountMode').value === 'percent' && value > 100) return { error: 'A percentage can be at most 100' };
+        }
+
+        selectedSaleList().forEach(function (sale) {
+            if (action === 'payment') {
+                if (sale.paymentMethod !== value) changes.push({ sale: sale, fields: { paymentMethod: value } });
+            } else if (action === 'customerType') {
+                // A directory customer's type comes from their purchase history
+                if (sale.customerId) skip('linked to a customer');
+                else if (sale.customerType !== value) changes.push({ sale: sale, fields: { customerType: value } });
+            } else if (action === 'date') {
+                if ((sale.refunds || []).some(function (r) { return r.date < value; })) skip('returns dated before ' + value);
+                else if (sale.date !== value) changes.push({ sale: sale, fields: { date: value } });
+            } else if (action === 'discount') {
+                var gross = orderRevenue(sale) + (Number(sale.discount) || 0);
+                var discount = document.getElementById('bulkDiscountMode').value === 'percent' ? Math.round(gross * value) / 100 : value;
+                var next = Object.assign({}, sale, { discount: discount });
+                var followsTotal = (sale.payments || []).length === 1 && sale.payments[0].amount === orderRevenue(sale);
+                if (discount > gross) skip('discount more than the order');
+                else if (!followsTotal && orderPaid(sale) > orderRevenue(next)) skip('already paid more than the new total');
+                else if (discount !== (Number(sale.discount) || 0)) changes.push({ sale: sale, fields: { discount: discount } });
+            }
+        });
+        return { changes: changes, skipped: skipped };
+    }
+
+    /** Summary shown above the Apply button, updated as the value is entered. */
+    function renderBulkSummary() {
+        var plan = bulkPlan(bulkAction);
+        var errEl = document.getElementById('bulkError');
+        var submitBtn = document.getElementById('bulkSubmitBtn');
+        errEl.textContent = plan.error || '';
+        if (plan.error) {
+            document.getElementById('bulkSummary').textContent = '';
+            submitBtn.disabled = true;
+            return;
+        }
+        var notes = Object.keys(plan.skipped).map(function (reason) { return plan.skipped[reason] + ' skipped: ' + reason; });
+        var unchanged = selectedSaleList().length - plan.changes.length;
+        Object.keys(plan.skipped).forEach(function (reason) { unchanged -= plan.skipped[reason]; });
+        if (unchanged > 0) notes.push(unchanged + ' already set');
+        document.getElementById('bulkSummary').textContent = (plan.changes.length ? 'Changes ' + bulkSummary(plan.changes.map(function (c) { return c.sale; })) + '.' : 'Nothing to change.') +
+            (notes.length ? ' ' + notes.join(' · ') + '.' : '');
+        submitBtn.disabled = plan.changes.length === 0;
+        submitBtn.textContent = 'Change ' + plan.changes.length + (plan.changes.length === 1 ? ' Sale' : ' Sales');
+    }
+
+    function openBulkModal(action) {
+        bulkAction = action;
+        document.getElementById('bulkTitle').textContent = BULK_TITLES[action];
+        document.querySelectorAll('[data-bulk-field]').forEach(function (el) {
+            el.hidden = el.getAttribute('data-bulk-field') !== action;
+        });
+        document.getElementById('bulkForm').reset();
+        document.getElementById('bulkDate').value = todayISO();
+        renderBulkSummary();
+        document.getElementById('bulkModal').hidden = false;
+    }
+
+    function closeBulkModal() {
+        document.getElementById('bulkModal').hidden = true;
+    }
+
+    /** Apply a planned bulk change as one undoable step, with a history entry on each sale. */
+    function applyBulkPlan(plan) {
+        recordChange(BULK_TITLES[bulkAction] + ' on ' + plan.changes.length + ' sales', plan.changes.map(function (change) { return change.sale.id; }));
+        plan.changes.forEach(function (change) {
+            var idx = sales.indexOf(change.sale);
+            var next = Object.assign({}, change.sale, change.fields);
+            carryPayments(change.sale, next);
+            next.refunds = (change.sale.refunds || []).slice();
+            carryHistory(change.sale, next);
+            sales[idx] = next;
+            saveSale(next);
+        });
+        renderAll();
+        showToast(plan.changes.length + (plan.changes.length === 1 ? ' sale' : ' sales') + ' changed.', 'Undo', undo);
+    }
+
+    function bulkDelete() {
+        var list = selectedSaleList();
+        if (!confirm('Delete ' + bulkSummary(list) + '? They will stay in the recycle bin for ' + binDays + ' days.')) return;
+        recordChange('Delete ' + list.length + ' sales', list.map(function (s) { return s.id; }));
+        moveToRecycleBin(list, 'deleted');
+        addTombstones(list);
+        sales = sales.filter(function (s) { return !selectedSales[s.id]; });
+        saveSales();
+        scheduleSync();
+        selectedSales = {};
         renderAll();
+        showToast(list.length + (list.length === 1 ? ' sale' : ' sales') + ' moved to the recycle bin.', 'Undo', undo);
+    }
+
+    function bulkExport() {
+        var list = selectedSaleList();
+        if (!confirm('Export ' + bulkSummary(list) + ' to CSV?')) return;
+        writeSalesCSV(list, [], filePrefix() + '-selected-' + todayISO() + '.csv');
+    }
+
+    /**
+     * Give an edited order the payments of its previous version. An order paid
+     * in full by one payment stays paid in full: that payment follows the new
+     * total and payment method (and date, if it was taken on the sale date).
+     */
+    function carryPayments(previous, next) {
+        var payments = (previous.payments || []).map(function (p) { return Object.assign({}, p); });
+        if (payments.length === 1 && payments[0].amount === orderRevenue(previous)) {
+            payments[0].amount = orderRevenue(next);
+            payments[0].method = next.paymentMethod;
+            if (payments[0].date === previous.date) payments[0].date = next.date;
+        }
+        next.payments = payments.filter(function (p) { return p.amount > 0; });
+    }
+
+    // ── Audit trail ─────────────────────────────────────────
+
+    var AUDIT_FIELDS = { date: 'Date', customerType: 'Customer type', customerId: 'Customer', paymentMethod: 'Payment', discount: 'Discount', notes: 'Notes' };
+    var AUDIT_LINE_FIELDS = { itemName: 'Item', productId: 'Product', quantity: 'Qty', unitPrice: 'Unit price', costPerUnit: 'Cost per unit' };
+
+    function stampCreated(sale) {
+        sale.createdAt = sale.modifiedAt = new Date().toISOString();
+        sale.createdBy = operator;
+        sale.history = [];
+    }
+
+    /** Value as shown in the history; names are resolved now so later renames don't rewrite the past. */
+    function auditValue(field, value) {
+        if (value === '' || value === null || value === undefined) return '';
+        if (field === 'customerId') return findCustomer(value) ? findCustomer(value).name : '(deleted customer)';
+        if (field === 'productId') return findProduct(value) ? findProduct(value).name : '(deleted product)';
+        if (field === 'discount' || field === 'unitPrice' || field === 'costPerUnit') return naira(value);
+        if (field === 'customerType' || field === 'paymentMethod') return ucfirst(value);
+        return String(value);
+    }
+
+    function lineSummary(line) {
+        return line.quantity + ' × ' + lineItemName(line) + ' @ ' + naira(line.unitPrice);
+    }
+
+    function paymentSummary(payment) {
+        return naira(payment.amount) + ' ' + ucfirst(payment.method) + ' on ' + payment.date;
+    }
+
+    function refundSummary(sale, refund) {
+        return refundTitle(sale, refund) + ' · ' + naira(refund.amount) + ' ' + refundMethodLabel(refund.method) + ' on ' + refund.date +
+            (refund.reason ? ' (' + refund.reason + ')' : '');
+    }
+
+    /** Field-level differences between two versions of a sale: [{ field, from, to }]. */
+    function diffSale(before, after) {
+        var changes = [];
+        Object.keys(AUDIT_FIELDS).forEach(function (field) {
+            var from = auditValue(field, before[field]);
+            var to = auditValue(field, after[field]);
+            if (from !== to) changes.push({ field: AUDIT_FIELDS[field], from: from, to: to });
+        });
+
+        var oldLines = {};
+        before.lines.forEach(function (line) { oldLines[line.id] = line; });
+        after.lines.forEach(function (line) {
+            var old = oldLines[line.id];
+            if (!old) {
+                changes.push({ field: 'Item added', from: '', to: lineSummary(line) });
+                return;
+            }
+            delete oldLines[line.id];
+            Object.keys(AUDIT_LINE_FIELDS).forEach(function (field) {
+                var from = auditValue(field, old[field]);
+                var to = auditValue(field, line[field]);
+                if (from !== to) changes.push({ field: lineItemName(line) + ' · ' + AUDIT_LINE_FIELDS[field], from: from, to: to });
+            });
+        });
+        Object.keys(oldLines).forEach(function (id) {
+            changes.push({ field: 'Item removed', from: lineSummary(oldLines[id]), to: '' });
+        });
+
+        var oldPayments = {};
+        (before.payments || []).forEach(function (p) { oldPayments[p.id] = p; });
+        (after.payments || []).forEach(function (p) {
+            var old = oldPayments[p.id];
+            delete oldPayments[p.id];
+            if (!old) changes.push({ field: 'Payment added', from: '', to: paymentSummary(p) });
+            else if (paymentSummary(old) !== paymentSummary(p)) changes.push({ field: 'Payment received', from: paymentSummary(old), to: paymentSummary(p) });
+        });
+        Object.keys(oldPayments).forEach(function (id) {
+            changes.push({ field: 'Payment removed', from: paymentSummary(oldPayments[id]), to: '' });
+        });
+
+        var oldRefunds = {};
+        (before.refunds || []).forEach(function (r) { oldRefunds[r.id] = r; });
+        (after.refunds || []).forEach(function (r) {
+            if (!oldRefunds[r.id]) changes.push({ field: 'Return recorded', from: '', to: refundSummary(after, r) });
+            delete oldRefunds[r.id];
+        });
+        Object.keys(oldRefunds).forEach(function (id) {
+            changes.push({ field: 'Return removed', from: refundSummary(before, oldRefunds[id]), to: '' });
+        });
+        return changes;
+    }
+
+    /** Give `next` the creation stamp and history of `previous`, plus an entry for what changed. */
+    function carryHistory(previous, next) {
+        withAuditFields(previous);
+        var changes = diffSale(previous, next);
+        next.createdAt = previous.createdAt;
+        next.createdBy = previous.createdBy;
+        next.history = previous.history.slice();
+        if (changes.length > 0) {
+            next.history.push({ at: new Date().toISOString(), by: operator, changes: changes });
+        }
+    }
+
+    /** Local 'YYYY-MM-DD HH:MM' for an ISO timestamp. */
+    function formatDateTime(iso) {
+        var d = new Date(iso);
+        return d.getFullYear() + '-' +
+            String(d.getMonth() + 1).padStart(2, '0') + '-' +
+            String(d.getDate()).padStart(2, '0') + ' ' +
+            String(d.getHours()).padStart(2, '0') + ':' +
+            String(d.getMinutes()).padStart(2, '0');
+    }
+
+    function createdLabel(sale) {
+        if (!sale.createdAt) return 'Created before change tracking';
+        return 'Created ' + formatDateTime(sale.createdAt) + (sale.createdBy ? ' by ' + sale.createdBy : '');
+    }
+
+    /** Tooltip for the table row: when it was created and how often it changed. */
+    function auditTitle(sale) {
+        var edits = (sale.history || []).length;
+        return createdLabel(sale) + (edits ? ' · edited ' + edits + (edits === 1 ? ' time' : ' times') : '');
+    }
+
+    function historyHTML(sale) {
+        var history = sale.history || [];
+        var html = '<div class="sale-audit"><p class="sale-audit-created">' + escapeHTML(createdLabel(sale)) + '</p>';
+        if (history.length > 0) {
+            html += '<details class="sale-history"><summary>Change history (' + history.length + ')</summary><ol>' +
+                history.slice().reverse().map(function (entry) {
+                    return '<li><span class="sale-history-when">' + formatDateTime(entry.at) +
+                        (entry.by ? ' · ' + escapeHTML(entry.by) : '') + '</span><ul>' +
+                        entry.changes.map(function (c) {
+                            return '<li><strong>' + escapeHTML(c.field) + ':</strong> ' +
+                                escapeHTML(c.from || '—') + ' → ' + escapeHTML(c.to || '—') + '</li>';
+                        }).join('') + '</ul></li>';
+                }).join('') + '</ol></details>';
+        }
+        return html + '</div>';
+    }
+
+    // ── Operator ────────────────────────────────────────────
+
+    /** Names already seen on sales, for the operator picker. */
+    function knownOperators() {
+        var names = {};
+        sales.forEach(function (sale) {
+            if (sale.createdBy) names[sale.createdBy] = true;
+            (sale.history || []).forEach(function (entry) { if (entry.by) names[entry.by] = true; });
+        });
+        return Object.keys(names).sort();
+    }
+
+    function setOperator(name) {
+        operator = String(name || '').trim();
+        if (operator) SalesStore.setSetting('operator', operator);
+        document.getElementById('operatorBtn').textContent = '👤 ' + (operator || 'Who?');
+    }
+
+    function openOperatorModal() {
+        document.getElementById('operatorNames').innerHTML = knownOperators().map(function (name) {
+            return '<option value="' + escapeHTML(name) + '">';
+        }).join('');
+        document.getElementById('operatorName').value = operator || SalesStore.getSetting('operator') || '';
+        document.getElementById('operatorModal').hidden = false;
+        document.getElementById('operatorName').focus();
+    }
+
+    function closeOperatorModal() {
+        document.getElementById('operatorModal').hidden = true;
+    }
+
+    // ── Passcode lock ───────────────────────────────────────
+    // With a passcode set, SalesStore keeps everything encrypted on disk and
+    // asks for the passcode (via requestPin) before loading. Locking reloads
+    // the page, so nothing decrypted stays in memory or on screen.
+
+    var lastActivity = Date.now();
+
+    /** Show the lock screen and resolve with the passcode entered (for SalesStore.open). */
+    function requestPin(wrong) {
+        loadTheme();
+        renderLockJournals();
+        var input = document.getElementById('lockPin');
+        var submitBtn = document.getElementById('lockSubmitBtn');
+        document.getElementById('lockPinError').textContent = wrong ? 'Wrong passcode. Try again.' : '';
+        document.getElementById('lockScreen').hidden = false;
+        input.value = '';
+        input.focus();
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Unlock';
+        return new Promise(function (resolve) {
+            document.getElementById('lockForm').onsubmit = function (e) {
+                e.preventDefault();
+                if (!input.value) return;
+                submitBtn.disabled = true;
+                submitBtn.textContent = 'Unlocking…';
+                resolve(input.value);
+            };
+        });
+    }
+
+    function autoLockMinutes() {
+        var minutes = SalesStore.getSetting('autoLockMinutes');
+        return minutes === undefined ? DEFAULT_AUTO_LOCK_MINUTES : Number(minutes) || 0;
+    }
+
+    /** Lock once pending writes are on disk. */
+    function lockNow() {
+        if (!SalesStore.hasPasscode()) return;
+        SalesStore.flush().then(function () { location.reload(); });
+    }
+
+    function checkAutoLock() {
+        var minutes = autoLockMinutes();
+        if (!SalesStore.hasPasscode() || !minutes) return;
+        if (Date.now() - lastActivity >= minutes * 60 * 1000) lockNow();
+    }
+
+    function startAutoLock() {
+        ['pointerdown', 'keydown', 'touchstart', 'scroll'].forEach(function (type) {
+            document.addEventListener(type, function () { lastActivity = Date.now(); }, { passive: true });
+        });
+        setInterval(checkAutoLock, AUTO_LOCK_CHECK_MS);
+        // A phone left asleep doesn't run timers; check as soon as it is back
+        document.addEventListener('visibilitychange', function () {
+            if (!document.hidden) checkAutoLock();
+        });
+    }
+
+    function renderLockButton() {
+        document.getElementById('lockBtn').hidden = !SalesStore.hasPasscode();
+    }
+
+    function pinErrors(raw, hasPin) {
+        var errors = {};
+        if (hasPin && !raw.current) errors.current = 'Enter the current passcode';
+        if (!/^\d{4,12}$/.test(raw.next)) errors.next = 'Use 4 to 12 digits';
+        else if (raw.confirm !== raw.next) errors.confirm = 'The passcodes don’t match';
+        return errors;
+    }
+
+    function showPinErrors(errors) {
+        document.getElementById('pinCurrentError').textContent = errors.current || '';
+        document.getElementById('pinNewError').textContent = errors.next || '';
+        document.getElementById('pinConfirmError').textContent = errors.confirm || '';
+    }
+
+    function renderPinModal() {
+        var hasPin = SalesStore.hasPasscode();
+        document.getElementById('pinStatus').textContent = hasPin
+            ? 'A passcode is set. Everything saved on this device is encrypted and the journal asks for the passcode when it opens.'
+            : 'No passcode is set. Anyone with this device can open the journal.';
+        document.getElementById('pinCurrentGroup').hidden = !hasPin;
+        document.getElementById('pinAutoLockGroup').hidden = !hasPin;
+        document.getElementById('pinRemoveBtn').hidden = !hasPin;
+        document.getElementById('pinSubmitBtn').textContent = hasPin ? 'Change Passcode' : 'Set Passcode';
+        document.getElementById('pinAutoLock').value = String(autoLockMinutes());
+        document.getElementById('pinForm').querySelectorAll('input').forEach(function (input) { input.value = ''; });
+        showPinErrors({});
+    }
+
+    function openPinModal() {
+        renderPinModal();
+        document.getElementById('pinModal').hidden = false;
+    }
+
+    function closePinModal() {
+        document.getElementById('pinModal').hidden = true;
+    }
+
+    /**
+     * Set or change the passcode. The current one is checked first; SalesStore
+     * re-encrypts everything in one step, so a failure leaves the old passcode working.
+     */
+    function savePasscode() {
+        var hasPin = SalesStore.hasPasscode();
+        var raw = {
+            current: document.getElementById('pinCurrent').value,
+            next: document.getElementById('pinNew').value,
+            confirm: document.getElementById('pinConfirm').value
+        };
+        var errors = pinErrors(raw, hasPin);
+        showPinErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+
+        var submitBtn = document.getElementById('pinSubmitBtn');
+        submitBtn.disabled = true;
+        (hasPin ? SalesStore.checkPasscode(raw.current) : Promise.resolve(true)).then(function (right) {
+            if (!right) {
+                showPinErrors({ current: 'That is not the current passcode' });
+                return null;
+            }
+            return SalesStore.setPasscode(raw.next);
+        }).then(function (ok) {
+            submitBtn.disabled = false;
+            if (ok === null) return;
+            if (!ok) {
+                showPinErrors({ next: 'Nothing was changed' + (hasPin ? ' — the old passcode still works.' : '.') });
+                return;
+            }
+            if (!hasPin) SalesStore.setSetting('autoLockMinutes', DEFAULT_AUTO_LOCK_MINUTES);
+            closePinModal();
+            renderLockButton();
+            showToast(hasPin ? 'Passcode changed.' : 'Passcode set. The journal is now encrypted on this device.');
+        });
+    }
+
+    function removePasscode() {
+        var current = document.getElementById('pinCurrent').value;
+        if (!current) {
+            showPinErrors({ current: 'Enter the current passcode' });
+            return;
+        }
+        SalesStore.checkPasscode(current).then(function (right) {
+            if (!right) {
+                showPinErrors({ current: 'That is not the current passcode' });
+                return null;
+            }
+            if (!confirm('Remove the passcode? The journal will be stored unencrypted and open without asking.')) return null;
+            return SalesStore.setPasscode('');
+        }).then(function (ok) {
+            if (!ok) return;
+            closePinModal();
+            renderLockButton();
+            showToast('Passcode removed.');
+        });
+    }
+
+    // ── Journals ────────────────────────────────────────────
+    // Each business (journal) keeps its own records, settings and passcode in
+    // SalesStore. Switching reloads the page into the chosen journal, so
+    // nothing from one journal is left in another's state.
+
+    function journalName(journal) {
+        return journal.name || BUSINESS_NAME;
+    }
+
+    /** Name of the open journal's business. */
+    function businessName() {
+        return journalName(SalesStore.currentJournal());
+    }
+
+    /** Start of export filenames, e.g. "toris-skin-secret". */
+    function filePrefix() {
+        return businessName().toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'sales';
+    }
+
+    function renderJournalName() {
+        var name = businessName();
+        document.getElementById('appTitle').textContent = '✨ ' + name;
+        document.getElementById('lockTitle').textContent = '✨ ' + name;
+        document.title = name + ' — Sales Journal';
     }
 
-    function updateSale(id, data) {
-        var idx = sales.findIndex(function (s) { return s.id === id; });
-        if (idx === -1) return;
-        data.id = id;
-        sales[idx] = data;
-        saveToLocalStorage();
-        renderAll();
+    /** Header switcher: one button per journal, the open one marked. */
+    function renderJournalMenu() {
+        var current = SalesStore.currentJournal().id;
+        document.getElementById('journalMenuList').innerHTML = SalesStore.listJournals().map(function (journal) {
+            var open = journal.id === current;
+            return '<button type="button" class="btn btn-sm ' + (open ? 'btn-primary' : 'btn-outline') + '" data-journal-open="' + escapeHTML(journal.id) + '"' +
+                (open ? ' aria-current="true"' : '') + '>' + (open ? '✓ ' : '') + escapeHTML(journalName(journal)) + '</button>';
+        }).join('');
+    }
+
+    /** Lock screen choice of journal, so a forgotten passcode doesn't shut the others out. */
+    function renderLockJournals() {
+        var list = SalesStore.listJournals();
+        var select = document.getElementById('lockJournal');
+        document.getElementById('lockJournalGroup').hidden = list.length < 2;
+        select.innerHTML = list.map(function (journal) {
+            return '<option value="' + escapeHTML(journal.id) + '">' + escapeHTML(journalName(journal)) + '</option>';
+        }).join('');
+        select.value = SalesStore.currentJournal().id;
+        select.onchange = function () {
+            if (SalesStore.useJournal(select.value)) location.reload();
+        };
+    }
+
+    /** Open another journal once this one's writes are on disk. */
+    function switchJournal(id) {
+        if (id === SalesStore.currentJournal().id) return;
+        SalesStore.flush().then(function () {
+            if (!SalesStore.useJournal(id)) return;
+            // Filters in the address bar belong to the journal being left
+            history.replaceState(null, '', location.pathname + location.search);
+            location.reload();
+        });
+    }
+
+    /** Problem with a journal name ('' if none); names must differ, ignoring case. */
+    function journalNameError(name, id) {
+        if (!name) return 'Enter the business name';
+        if (name.length > 60) return 'Keep the name under 60 characters';
+        var taken = SalesStore.listJournals().some(function (journal) {
+            return journal.id !== id && journalName(journal).toLowerCase() === name.toLowerCase();
+        });
+        return taken ? 'There is already a journal called "' + name + '"' : '';
+    }
+
+    function addJournal() {
+        var input = document.getElementById('journalName');
+        var name = input.value.trim();
+        var error = journalNameError(name, null);
+        document.getElementById('journalNameError').textContent = error;
+        if (error) return;
+        var journal = SalesStore.addJournal(name);
+        input.value = '';
+        renderJournals();
+        showToast('Journal "' + name + '" added.', 'Open it', function () { switchJournal(journal.id); });
+    }
+
+    function renameJournal(id) {
+        var journal = SalesStore.listJournals().filter(function (j) { return j.id === id; })[0];
+        if (!journal) return;
+        var name = (prompt('Business name for this journal:', journalName(journal)) || '').trim();
+        if (!name || name === journalName(journal)) return;
+        var error = journalNameError(name, id);
+        if (error) {
+            alert(error + '.');
+            return;
+        }
+        SalesStore.renameJournal(id, name);
+        renderJournalName();
+        renderJournals();
+    }
+
+    function deleteJournal(id) {
+        var journal = SalesStore.listJournals().filter(function (j) { return j.id === id; })[0];
+        if (!journal) return;
+        if (!confirm('Delete the journal "' + journalName(journal) + '" and everything in it?\n\n' +
+            'This cannot be undone. To keep a copy, open it and take a Backup first.')) return;
+        // A journal with a passcode can only be deleted by someone who knows it
+        SalesStore.journalHasPasscode(id).then(function (locked) {
+            if (!locked) return '';
+            return prompt('"' + journalName(journal) + '" has a passcode. Enter it to delete the journal:');
+        }).then(function (pin) {
+            return pin === null ? false : SalesStore.removeJournal(id, pin);
+        }).then(function (result) {
+            if (result === 'wrong') alert('That is not the passcode of "' + journalName(journal) + '". Nothing was deleted.');
+            if (result !== true) return;
+            renderJournals();
+            showToast('Journal "' + journalName(journal) + '" deleted.');
+        }, function (err) {
+            alert('Could not delete the journal: ' + err.message + '\n\nNothing has been changed.');
+        });
+    }
+
+    /**
+     * Sales count, revenue (after refunds), profit, expenses and amount owed
+     * between two ISO dates, from a journal's sales and expenses.
+     * @param {Object} [estimates] – that journal's cost estimates; defaults to the open one's
+     */
+    function journalTotals(from, to, records, estimates) {
+        var inRange = function (date) { return date >= from && date <= to; };
+        var summary = summaryBetween(from, to, records.sales, estimates);
+        var spent = 0;
+        records.expenses.forEach(function (x) { if (inRange(x.date)) spent += Number(x.amount) || 0; });
+        return {
+            count: records.sales.filter(function (s) { return inRange(s.date); }).length,
+            revenue: summary.totalRev,
+            grossProfit: summary.totalProf,
+            expenses: spent,
+            netProfit: summary.totalProf - spent,
+            owed: summary.owed
+        };
+    }
+
+    /** Totals of a journal that isn't open, costed by its own restocks and cost method. */
+    function otherJournalTotals(from, to, data, journalSettings) {
+        var method = COST_METHODS[journalSettings.costMethod] ? journalSettings.costMethod : 'fifo';
+        return journalTotals(from, to, data, computeCostEstimates(data.sales, data.restocks, method));
+    }
+
+    function totalsRowHTML(label, t, cls) {
+        return '<tr class="' + (cls || '') + '">' +
+            '<td>' + label + '</td>' +
+            '<td>' + t.count + '</td>' +
+            '<td>' + signedNaira(t.revenue) + '</td>' +
+            '<td>' + signedNaira(t.grossProfit) + '</td>' +
+            '<td>' + naira(t.expenses) + '</td>' +
+            '<td class="' + (t.netProfit >= 0 ? 'growth--up' : 'growth--down') + '">' + signedNaira(t.netProfit) + '</td>' +
+            '<td>' + naira(t.owed) + '</td>' +
+            '</tr>';
+    }
+
+    /** Totals per journal for the chosen period, and added up. Journals with a passcode stay closed. */
+    function renderConsolidated() {
+        var period = document.getElementById('journalPeriod').value;
+        var range = quickRange(period) || { from: '', to: '9999-12-31' };
+        var current = SalesStore.currentJournal().id;
+        var list = SalesStore.listJournals();
+        var body = document.getElementById('journalTotalsBody');
+        body.innerHTML = '<tr><td colspan="7">Adding up…</td></tr>';
+        Promise.all(list.map(function (journal) {
+            if (journal.id === current) return { locked: false, totals: journalTotals(range.from, range.to, { sales: sales, expenses: expenses }) };
+            return SalesStore.readJournal(journal.id).then(function (result) {
+                if (result.locked) return result;
+                return { locked: false, totals: otherJournalTotals(range.from, range.to, result.data, result.settings) };
+            }, function () {
+                return { failed: true };
+            });
+        })).then(function (results) {
+            var sum = { count: 0, revenue: 0, grossProfit: 0, expenses: 0, netProfit: 0, owed: 0 };
+            var left = [];
+            var html = results.map(function (result, i) {
+                var name = escapeHTML(journalName(list[i])) + (list[i].id === current ? ' <span class="badge badge--open">Open</span>' : '');
+                if (!result.totals) {
+                    left.push(journalName(list[i]));
+                    return '<tr><td>' + name + '</td><td colspan="6" class="metric-note">' +
+                        (result.locked ? '🔒 Has a passcode — open it to see its figures' : 'Could not be read') + '</td></tr>';
+                }
+                Object.keys(sum).forEach(function (key) { sum[key] += result.totals[key]; });
+                return totalsRowHTML(name, result.totals);
+            }).join('');
+            body.innerHTML = html + totalsRowHTML('All journals', sum, 'journal-totals-sum');
+            document.getElementById('journalTotalsNote').textContent = left.length
+                ? 'The total leaves out ' + left.join(', ') + '.'
+                : '';
+        });
+    }
+
+    function renderJournals() {
+        var current = SalesStore.currentJournal().id;
+        // The first journal is the default one, which can't be deleted
+        document.getElementById('journalsTableBody').innerHTML = SalesStore.listJournals().map(function (journal, i) {
+            var open = journal.id === current;
+            var id = escapeHTML(journal.id);
+            return '<tr>' +
+                '<td>' + escapeHTML(journalName(journal)) + (open ? ' <span class="badge badge--open">Open</span>' : '') + '</td>' +
+                '<td class="actions-cell">' +
+                (open ? '' : '<button class="btn btn-sm btn-outline" data-journal-open="' + id + '">Open</button>') +
+                '<button class="btn btn-sm btn-outline" data-journal-rename="' + id + '">Rename</button>' +
+                (open || i === 0 ? '' : '<button class="btn btn-sm btn-danger-outline" data-journal-delete="' + id + '">Del</button>') +
+                '</td>' +
+                '</tr>';
+        }).join('');
+        renderJournalMenu();
+        renderConsolidated();
+    }
+
+    function openJournalsModal() {
+        document.getElementById('journalName').value = '';
+        document.getElementById('journalNameError').textContent = '';
+        renderJournals();
+        document.getElementById('journalsModal').hidden = false;
+    }
+
+    function closeJournalsModal() {
+        document.getElementById('journalsModal').hidden = true;
+    }
+
+    // ── Undo / redo ─────────────────────────────────────────
+    // Each entry holds copies of the sales a change touches, by id (null for a
+    // sale it adds), taken just before the change, plus the recycle bin's list
+    // of entries; bin entries aren't edited once made, so they aren't copied.
+
+    var undoStack = [];
+    var redoStack = [];
+    var toastTimer = null;
+
+    function snapshot(label, ids) {
+        var byId = {};
+        sales.forEach(function (s) { byId[s.id] = s; });
+        var copies = {};
+        ids.forEach(function (id) {
+            copies[id] = byId[id] ? JSON.parse(JSON.stringify(byId[id])) : null;
+        });
+        return { label: label, ids: ids, sales: copies, recycleBin: recycleBin.slice() };
+    }
+
+    /**
+     * Call before changing sales or the recycle bin so the change can be undone.
+     * @param {string[]} ids – the sales the change adds, edits or removes
+     */
+    function recordChange(label, ids) {
+        undoStack.push(snapshot(label, ids));
+        if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+        redoStack = [];
+    }
+
+    /** Forget undo history, e.g. after a restore changed records the snapshots don't cover. */
+    function clearHistory() {
+        undoStack = [];
+        redoStack = [];
+    }
+
+    /** Put back the snapshot's sales and bin, writing only the records that differ. */
+    function applySnapshot(snap) {
+        var byId = {};
+        sales.forEach(function (s) { byId[s.id] = s; });
+        var revs = {};
+        tombstones.forEach(function (t) { if (t.syncRev) revs[t.id] = t.syncRev; });
+
+        var removed = [];
+        var gone = {};
+        snap.ids.forEach(function (id) {
+            var current = byId[id];
+            var sale = snap.sales[id];
+            if (!sale) {
+                if (current) {
+                    removed.push(current);
+                    gone[id] = true;
+                }
+                return;
+            }
+            // Receipt numbers issued and sync revisions received since the snapshot stay with the sale
+            if (!sale.receiptNo && current && current.receiptNo) sale.receiptNo = current.receiptNo;
+            var rev = current ? current.syncRev : revs[id];
+            if (rev) sale.syncRev = rev;
+            if (current && JSON.stringify(current) === JSON.stringify(sale)) return;
+            if (current) sales[sales.indexOf(current)] = sale;
+            else sales.push(sale);
+            saveSale(sale);
+        });
+        if (removed.length > 0) {
+            sales = sales.filter(function (s) { return !gone[s.id]; });
+            invalidateDerived();
+            addTombstones(removed);
+            removed.forEach(function (s) { SalesStore.remove('sales', s.id); });
+            scheduleSync();
+        }
+
+        var inBin = {};
+        recycleBin.forEach(function (entry) { inBin[entry.id] = true; });
+        var kept = {};
+        snap.recycleBin.forEach(function (entry) {
+            kept[entry.id] = true;
+            if (!inBin[entry.id]) SalesStore.put('recycleBin', entry);
+        });
+        recycleBin.forEach(function (entry) {
+            if (!kept[entry.id]) SalesStore.remove('recycleBin', entry.id);
+        });
+        recycleBin = snap.recycleBin;
+
+        renderAll();
+        if (!document.getElementById('recycleBinModal').hidden) renderRecycleBin();
+    }
+
+    function undo() {
+        var snap = undoStack.pop();
+        if (!snap) {
+            showToast('Nothing to undo.');
+            return;
+        }
+        redoStack.push(snapshot(snap.label, snap.ids));
+        applySnapshot(snap);
+        showToast('Undone: ' + snap.label + '.', 'Redo', redo);
+    }
+
+    function redo() {
+        var snap = redoStack.pop();
+        if (!snap) {
+            showToast('Nothing to redo.');
+            return;
+        }
+        undoStack.push(snapshot(snap.label, snap.ids));
+        applySnapshot(snap);
+        showToast('Redone: ' + snap.label + '.', 'Undo', undo);
+    }
+
+    /** Show a short message at the bottom of the screen, optionally with one action button. */
+    function showToast(message, actionLabel, action) {
+        var toast = document.getElementById('toast');
+        var actionBtn = document.getElementById('toastActionBtn');
+        document.getElementById('toastMessage').textContent = message;
+        actionBtn.hidden = !action;
+        actionBtn.textContent = actionLabel || '';
+        actionBtn.onclick = action ? function () {
+            hideToast();
+            action();
+        } : null;
+        toast.hidden = false;
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(hideToast, 6000);
+    }
+
+    function hideToast() {
+        clearTimeout(toastTimer);
+        document.getElementById('toast').hidden = true;
+    }
+
+    // ── Recycle bin ─────────────────────────────────────────
+
+    var BIN_REASONS = { deleted: 'Deleted', edited: 'Replaced by edit', reset: 'Reset all' };
+
+    function moveToRecycleBin(list, reason) {
+        var now = new Date().toISOString();
+        list.forEach(function (sale) {
+            var entry = { id: uid(), sale: sale, reason: reason, deletedAt: now };
+            recycleBin.push(entry);
+            SalesStore.put('recycleBin', entry);
+        });
+    }
+
+    /** Drop bin entries older than the retention period. */
+    function purgeRecycleBin() {
+        var cutoff = Date.now() - binDays * 86400000;
+        var kept = recycleBin.filter(function (entry) { return new Date(entry.deletedAt).getTime() >= cutoff; });
+        if (kept.length !== recycleBin.length) {
+            recycleBin = kept;
+            saveRecycleBin();
+        }
+    }
+
+    function renderRecycleBin() {
+        var entries = recycleBin.slice().sort(function (a, b) { return a.deletedAt < b.deletedAt ? 1 : -1; });
+        var cutoffMs = binDays * 86400000;
+
+        document.getElementById('recycleBinBody').innerHTML = entries.map(function (entry) {
+            var deleted = new Date(entry.deletedAt);
+            var daysLeft = Math.max(0, Math.ceil((deleted.getTime() + cutoffMs - Date.now()) / 86400000));
+            return '<tr>' +
+                '<td>' + deleted.toLocaleDateString('en-NG') + '</td>' +
+                '<td>' + entry.sale.date + '</td>' +
+                '<td>' + escapeHTML(orderTitle(entry.sale)) + '</td>' +
+                '<td>' + naira(orderRevenue(entry.sale)) + '</td>' +
+                '<td>' + BIN_REASONS[entry.reason] + '</td>' +
+                '<td>' + daysLeft + (daysLeft === 1 ? ' day' : ' days') + '</td>' +
+                '<td class="actions-cell">' +
+                '<button class="btn btn-sm btn-outline" data-bin-restore="' + entry.id + '">Restore</button>' +
+                '<button class="btn btn-sm btn-danger-outline" data-bin-purge="' + entry.id + '">Delete</button>' +
+                '</td>' +
+                '</tr>';
+        }).join('');
+        document.getElementById('recycleBinEmpty').hidden = entries.length > 0;
+        document.getElementById('recycleBinEmptyBtn').disabled = entries.length === 0;
+    }
+
+    /**
+     * Put a bin entry back in the journal. An older version of a sale that
+     * still exists replaces the current one (which goes to the bin in turn).
+     */
+    function restoreFromBin(entryId) {
+        var entry = recycleBin.find(function (e) { return e.id === entryId; });
+        if (!entry) return;
+        var idx = sales.findIndex(function (s) { return s.id === entry.sale.id; });
+        if (idx !== -1 && !confirm('This sale still exists. Replace its current version with this one?')) return;
+
+        recordChange('Restore sale', [entry.sale.id]);
+        recycleBin = recycleBin.filter(function (e) { return e.id !== entryId; });
+        if (idx !== -1) {
+            carryHistory(sales[idx], entry.sale);
+            moveToRecycleBin([sales[idx]], 'edited');
+            sales[idx] = entry.sale;
+        } else {
+            sales.push(entry.sale);
+        }
+        saveSale(entry.sale);
+        saveRecycleBin();
+        renderAll();
+        renderRecycleBin();
+        showToast('Sale restored.', 'Undo', undo);
+    }
+
+    function purgeBinEntry(entryId) {
+        recordChange('Delete from recycle bin', []);
+        recycleBin = recycleBin.filter(function (e) { return e.id !== entryId; });
+        saveRecycleBin();
+        renderRecycleBin();
+        showToast('Removed from the recycle bin.', 'Undo', undo);
+    }
+
+    function emptyRecycleBin() {
+        if (!confirm('Permanently delete all ' + recycleBin.length + ' sales in the recycle bin?')) return;
+        recordChange('Empty recycle bin', []);
+        recycleBin = [];
+        saveRecycleBin();
+        renderRecycleBin();
+        showToast('Recycle bin emptied.', 'Undo', undo);
+    }
+
+    function setBinDays(days) {
+        binDays = Number(days) >= 1 ? Number(days) : DEFAULT_BIN_DAYS;
+        SalesStore.setSetting('binDays', binDays);
+        purgeRecycleBin();
+        renderRecycleBin();
+    }
+
+    function openRecycleBin() {
+        purgeRecycleBin();
+        document.getElementById('binDaysSelect').value = String(binDays);
+        renderRecycleBin();
+        document.getElementById('recycleBinModal').hidden = false;
+    }
+
+    function closeRecycleBin() {
+        document.getElementById('recycleBinModal').hidden = true;
+    }
+
+    // ── Product catalogue ──────────────────────────────────
+
+    function findProduct(id) {
+        if (!id) return null;
+        return products.find(function (p) { return p.id === id; }) || null;
+    }
+
+    function findProductByName(name) {
+        var key = String(name || '').trim().toLowerCase();
+        return products.find(function (p) { return !p.archived && p.name.toLowerCase() === key; }) || null;
+    }
+
+    /** Display name of a line's item — follows the product if it has been renamed. */
+    function lineItemName(line) {
+        var product = findProduct(line.productId);
+        return product ? product.name : (line.itemName || '');
+    }
+
+    /** Short name for an order: its first item, plus how many more. */
+    function orderTitle(sale) {
+        var first = lineItemName(sale.lines[0]);
+        return sale.lines.length > 1 ? first + ' + ' + (sale.lines.length - 1) + ' more' : first;
+    }
+
+    /**
+     * Attach product references to an order's lines. Keeps an explicit pick,
+     * otherwise links a typed item name that matches a product exactly.
+     */
+    function linkProducts(order) {
+        order.lines.forEach(function (line) {
+            var product = findProduct(line.productId) || findProductByName(line.itemName);
+            line.productId = product ? product.id : '';
+            if (product) line.itemName = product.name;
+        });
+    }
+
+    /**
+     * Options for a line's product picker: active products, plus `keepId`
+     * even if archived (so editing an old sale doesn't drop its product).
+     */
+    function productOptionsHTML(keepId) {
+        var html = '<option value="">Type item manually…</option>';
+        products.slice().sort(function (a, b) { return a.name.localeCompare(b.name); }).forEach(function (p) {
+            if (p.archived && p.id !== keepId) return;
+            html += '<option value="' + p.id + '">' + escapeHTML(p.name) + (p.sku ? ' (' + escapeHTML(p.sku) + ')' : '') + '</option>';
+        });
+        return html;
+    }
+
+    /** Refresh every line's product picker in the Add and Edit forms, keeping its choice. */
+    function renderProductOptions() {
+        document.querySelectorAll('.line-product').forEach(function (select) {
+            var current = select.value;
+            select.innerHTML = productOptionsHTML(current);
+            select.value = findProduct(current) ? current : '';
+        });
+    }
+
+    /** Copy a picked product's name, price and cost into its line row. */
+    function fillFromProduct(rowEl) {
+        var product = findProduct(rowEl.querySelector('.line-product').value);
+        if (!product) return;
+        rowEl.querySelector('.line-item').value = product.name;
+        rowEl.querySelector('.line-price').value = product.price;
+        rowEl.querySelector('.line-cost').value = product.cost !== '' ? product.cost : '';
+        if (!rowEl.querySelector('.line-qty').value) rowEl.querySelector('.line-qty').value = 1;
+    }
+
+    /** Validate the product form and return { valid, data }. */
+    function validateProductForm() {
+        var editId = document.getElementById('productEditId').value;
+        var name = document.getElementById('productName').value.trim();
+        var sku = document.getElementById('productSku').value.trim();
+        var price = document.getElementById('productPrice').value;
+        var cost = document.getElementById('productCost').value;
+        var threshold = document.getElementById('productThreshold').value;
+        var errors = {};
+
+        var others = products.filter(function (p) { return p.id !== editId; });
+        if (!name) errors.productName = 'Product name is required';
+        else if (others.some(function (p) { return p.name.toLowerCase() === name.toLowerCase(); })) errors.productName = 'A product with this name already exists';
+        if (sku && others.some(function (p) { return p.sku && p.sku.toLowerCase() === sku.toLowerCase(); })) errors.productSku = 'This SKU is already used';
+        if (price === '' || !(Number(price) >= 0)) errors.productPrice = 'Selling price is required';
+        if (cost !== '' && !(Number(cost) >= 0)) errors.productCost = 'Cost must be 0 or more';
+        if (threshold !== '' && !(Number(threshold) >= 0)) errors.productThreshold = 'Threshold must be 0 or more';
+
+        ['productName', 'productSku', 'productPrice', 'productCost', 'productThreshold'].forEach(function (key) {
+            document.getElementById(key + 'Error').textContent = errors[key] || '';
+        });
+
+        if (Object.keys(errors).length > 0) return { valid: false, data: null };
+        return {
+            valid: true,
+            data: {
+                name: name,
+                sku: sku,
+                price: Number(price),
+                cost: cost !== '' ? Number(cost) : '',
+                lowStockThreshold: threshold !== '' ? Number(threshold) : DEFAULT_LOW_STOCK
+            }
+        };
+    }
+
+    function saveProduct(data) {
+        var editId = document.getElementById('productEditId').value;
+        var product = findProduct(editId);
+        if (product) {
+            Object.assign(product, data);
+        } else {
+            data.id = uid();
+            data.archived = false;
+            products.push(data);
+        }
+        saveProducts();
+        resetProductForm();
+        renderProducts();
+        renderProductOptions();
+        renderRestockOptions();
+        renderAll();
+    }
+
+    function setProductArchived(id, archived) {
+        var product = findProduct(id);
+        if (!product) return;
+        product.archived = archived;
+        saveProducts();
+        renderProducts();
+        renderProductOptions();
+        renderStockWarning();
+    }
+
+    function editProduct(id) {
+        var product = findProduct(id);
+        if (!product) return;
+        document.getElementById('productEditId').value = product.id;
+        document.getElementById('productName').value = product.name;
+        document.getElementById('productSku').value = product.sku || '';
+        document.getElementById('productPrice').value = product.price;
+        document.getElementById('productCost').value = product.cost !== '' ? product.cost : '';
+        document.getElementById('productThreshold').value = lowStockThreshold(product);
+        document.getElementById('productSubmitBtn').textContent = 'Save Product';
+        document.getElementById('productName').focus();
+    }
+
+    function resetProductForm() {
+        document.getElementById('productForm').reset();
+        document.getElementById('productEditId').value = '';
+        document.getElementById('productSubmitBtn').textContent = 'Add Product';
+        document.querySelectorAll('#productForm .error-msg').forEach(function (el) { el.textContent = ''; });
+    }
+
+    function renderProducts() {
+        var levels = stockLevels();
+        var sold = {};
+        sales.forEach(function (s) {
+            s.lines.forEach(function (line) {
+                if (line.productId) sold[line.productId] = (sold[line.productId] || 0) + (Number(line.quantity) || 0);
+            });
+        });
+
+        var sorted = products.slice().sort(function (a, b) {
+            if (a.archived !== b.archived) return a.archived ? 1 : -1;
+            return a.name.localeCompare(b.name);
+        });
+
+        document.getElementById('productsEmpty').hidden = sorted.length > 0;
+        document.getElementById('productsTableBody').innerHTML = sorted.map(function (p) {
+            return '<tr class="' + (p.archived ? 'row--archived' : '') + '">' +
+                '<td>' + escapeHTML(p.name) + '</td>' +
+                '<td>' + escapeHTML(p.sku || '—') + '</td>' +
+                '<td>' + naira(p.price) + '</td>' +
+                '<td>' + (p.cost !== '' ? naira(p.cost) : '—') + '</td>' +
+                '<td>' + (sold[p.id] || 0) + '</td>' +
+                '<td>' + (levels[p.id].tracked ? levels[p.id].onHand : '—') + '</td>' +
+                '<td class="actions-cell">' +
+                '<button class="btn btn-sm btn-outline" data-product-edit="' + p.id + '">Edit</button>' +
+                (p.archived
+                    ? '<button class="btn btn-sm btn-outline" data-product-restore="' + p.id + '">Restore</button>'
+                    : '<button class="btn btn-sm btn-danger-outline" data-product-archive="' + p.id + '">Archive</button>') +
+                '</td>' +
+                '</tr>';
+        }).join('');
+    }
+
+    function openProductsModal() {
+        resetProductForm();
+        renderProducts();
+        document.getElementById('productsModal').hidden = false;
+    }
+
+    function closeProductsModal() {
+        document.getElementById('productsModal').hidden = true;
+    }
+
+    // ── Inventory ───────────────────────────────────────────
+    // Stock on hand is derived from restock records minus quantities sold,
+    // so adding, editing or deleting a sale adjusts it automatically.
+    // A product is only tracked once it has at least one restock.
+
+    function lowStockThreshold(product) {
+        var n = Number(product.lowStockThreshold);
+        return product.lowStockThreshold === undefined || product.lowStockThreshold === '' || isNaN(n) ? DEFAULT_LOW_STOCK : n;
+    }
+
+    /** Map of productId → { tracked, restocked, sold, returned, onHand }. Returns put back in stock count as returned. */
+    function stockLevels() {
+        var levels = {};
+        products.forEach(function (p) {
+            levels[p.id] = { tracked: false, restocked: 0, sold: 0, returned: 0, onHand: 0 };
+        });
+        restocks.forEach(function (r) {
+            var level = levels[r.productId];
+            if (!level) return;
+            level.tracked = true;
+            level.restocked += Number(r.quantity) || 0;
+        });
+        sales.forEach(function (s) {
+            s.lines.forEach(function (line) {
+                var level = levels[line.productId];
+                if (level) level.sold += Number(line.quantity) || 0;
+            });
+            (s.refunds || []).forEach(function (refund) {
+                if (!refund.restock) return;
+                refund.lines.forEach(function (rl) {
+                    var line = findSaleLine(s, rl.lineId);
+                    var level = line && levels[line.productId];
+                    if (level) level.returned += Number(rl.quantity) || 0;
+                });
+            });
+        });
+        Object.keys(levels).forEach(function (id) {
+            levels[id].onHand = levels[id].restocked - levels[id].sold + levels[id].returned;
+        });
+        return levels;
+    }
+
+    function lowStockProducts() {
+        var levels = stockLevels();
+        return products.filter(function (p) {
+            var level = levels[p.id];
+            return !p.archived && level.tracked && level.onHand <= lowStockThreshold(p);
+        });
+    }
+
+    /** Units per product id across an order's lines. */
+    function quantitiesByProduct(order) {
+        var totals = {};
+        order.lines.forEach(function (line) {
+            var product = findProduct(line.productId) || findProductByName(line.itemName);
+            if (product) totals[product.id] = (totals[product.id] || 0) + (Number(line.quantity) || 0);
+        });
+        return totals;
+    }
+
+    /**
+     * Ask before saving a sale that would push a tracked product below zero.
+     * @param {object} data – validated sale data
+     * @param {object} [previous] – the sale being edited, whose quantities go back into stock
+     * @returns {boolean} true if the sale may be saved
+     */
+    function confirmStockForSale(data, previous) {
+        var levels = stockLevels();
+        var wanted = quantitiesByProduct(data);
+        var returned = previous ? quantitiesByProduct(previous) : {};
+
+        var problems = Object.keys(wanted).filter(function (id) {
+            return levels[id].tracked && wanted[id] > levels[id].onHand + (returned[id] || 0);
+        }).map(function (id) {
+            var available = levels[id].onHand + (returned[id] || 0);
+            return 'Only ' + Math.max(available, 0) + ' ' + findProduct(id).name + ' in stock — recording ' +
+                wanted[id] + ' will take stock to ' + (available - wanted[id]) + '.';
+        });
+        if (problems.length === 0) return true;
+
+        return confirm(problems.join('\n') + '\n\nSave anyway?');
+    }
+
+    function renderStockWarning() {
+        var low = lowStockProducts();
+        var levels = stockLevels();
+        var el = document.getElementById('stockWarning');
+        el.hidden = low.length === 0;
+        el.innerHTML = low.length === 0 ? '' : '<strong>⚠️ Low stock:</strong> ' + low.map(function (p) {
+            var onHand = levels[p.id].onHand;
+            return escapeHTML(p.name) + ' (' + (onHand < 0 ? onHand + ', oversold' : onHand + ' left') + ')';
+        }).join(', ');
+    }
+
+    function renderRestockOptions() {
+        var select = document.getElementById('restockProduct');
+        var current = select.value;
+        var html = '<option value="">Select…</option>';
+        products.slice().sort(function (a, b) { return a.name.localeCompare(b.name); }).forEach(function (p) {
+            if (!p.archived) html += '<option value="' + p.id + '">' + escapeHTML(p.name) + '</option>';
+        });
+        select.innerHTML = html;
+        select.value = findProduct(current) ? current : '';
+    }
+
+    /** Validate the restock form and return { valid, data }. */
+    function validateRestockForm() {
+        var productId = document.getElementById('restockProduct').value;
+        var date = document.getElementById('restockDate').value;
+        var quantity = document.getElementById('restockQuantity').value;
+        var unitCost = document.getElementById('restockUnitCost').value;
+        var errors = {};
+
+        if (!findProduct(productId)) errors.restockProduct = 'Select a product';
+        if (!date) errors.restockDate = 'Date is required';
+        if (quantity === '' || !(Number(quantity) >= 1) || !Number.isInteger(Number(quantity))) errors.restockQuantity = 'Quantity must be at least 1';
+        if (unitCost === '' || !(Number(unitCost) >= 0)) errors.restockUnitCost = 'Unit cost is required';
+
+        ['restockProduct', 'restockDate', 'restockQuantity', 'restockUnitCost'].forEach(function (key) {
+            document.getElementById(key + 'Error').textContent = errors[key] || '';
+        });
+
+        if (Object.keys(errors).length > 0) return { valid: false, data: null };
+        return {
+            valid: true,
+            data: { productId: productId, date: date, quantity: Number(quantity), unitCost: Number(unitCost) }
+        };
+    }
+
+    function addRestock(data) {
+        data.id = uid();
+        restocks.push(data);
+        saveRestocks();
+        renderInventory();
+        renderAll();
+    }
+
+    function deleteRestock(id) {
+        restocks = restocks.filter(function (r) { return r.id !== id; });
+        saveRestocks();
+        renderInventory();
+        renderAll();
+    }
+
+    function renderInventory() {
+        var levels = stockLevels();
+        var active = products.filter(function (p) { return !p.archived; })
+            .sort(function (a, b) { return a.name.localeCompare(b.name); });
+
+        document.getElementById('inventoryTableBody').innerHTML = active.map(function (p) {
+            var level = levels[p.id];
+            var status = !level.tracked ? 'Not tracked'
+                : level.onHand < 0 ? 'Oversold'
+                : level.onHand <= lowStockThreshold(p) ? 'Low' : 'OK';
+            var rowClass = level.tracked && level.onHand <= lowStockThreshold(p) ? 'row--low-stock' : '';
+            return '<tr class="' + rowClass + '">' +
+                '<td>' + escapeHTML(p.name) + '</td>' +
+                '<td>' + (level.tracked ? level.onHand : '—') + '</td>' +
+                '<td>' + lowStockThreshold(p) + '</td>' +
+                '<td>' + level.restocked + '</td>' +
+                '<td>' + level.sold + '</td>' +
+                '<td>' + level.returned + '</td>' +
+                '<td>' + status + '</td>' +
+                '</tr>';
+        }).join('');
+        document.getElementById('inventoryEmpty').hidden = active.length > 0;
+
+        var history = restocks.slice().sort(function (a, b) {
+            if (b.date !== a.date) return b.date > a.date ? 1 : -1;
+            return String(b.id) > String(a.id) ? 1 : -1;
+        });
+        document.getElementById('restockTableBody').innerHTML = history.map(function (r) {
+            var product = findProduct(r.productId);
+            return '<tr>' +
+                '<td>' + r.date + '</td>' +
+                '<td>' + escapeHTML(product ? product.name : 'Deleted product') + '</td>' +
+                '<td>' + r.quantity + '</td>' +
+                '<td>' + naira(r.unitCost) + '</td>' +
+                '<td class="actions-cell">' +
+                '<button class="btn btn-sm btn-danger-outline" data-restock-delete="' + r.id + '">Del</button>' +
+                '</td>' +
+                '</tr>';
+        }).join('');
+        document.getElementById('restockEmpty').hidden = history.length > 0;
+    }
+
+    function openInventoryModal() {
+        document.getElementById('restockForm').reset();
+        document.querySelectorAll('#restockForm .error-msg').forEach(function (el) { el.textContent = ''; });
+        renderRestockOptions();
+        document.getElementById('restockDate').value = todayISO();
+        document.getElementById('costMethodSelect').value = costMethod;
+        renderInventory();
+        document.getElementById('inventoryModal').hidden = false;
+    }
+
+    function closeInventoryModal() {
+        document.getElementById('inventoryModal').hidden = true;
+    }
+
+    // ── Cost of goods ──────────────────────────────────────
+    // Restocks are purchase batches. Every product-linked sale line consumes
+    // stock from them in date order; lines without their own cost get the unit
+    // cost that consumption implies under the selected method.
+
+    function getCostEstimates() {
+        if (!costEstimates) costEstimates = computeCostEstimates(sales, restocks, costMethod);
+        return costEstimates;
+    }
+
+    /** Return lineId → estimated unit cost for product-linked lines without a cost. */
+    function computeCostEstimates(saleList, restockList, method) {
+        var estimates = {};
+        var byProduct = {};
+
+        restockList.forEach(function (r) {
+            (byProduct[r.productId] = byProduct[r.productId] || []).push({ kind: 'restock', date: r.date, id: r.id, record: r });
+        });
+        saleList.forEach(function (s) {
+            s.lines.forEach(function (line) {
+                if (byProduct[line.productId]) byProduct[line.productId].push({ kind: 'sale', date: s.date, id: line.id, record: line });
+            });
+        });
+
+        Object.keys(byProduct).forEach(function (productId) {
+            // Chronological; on the same day restocks come before sales
+            var events = byProduct[productId].sort(function (a, b) {
+                if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+                if (a.kind !== b.kind) return a.kind === 'restock' ? -1 : 1;
+                return String(a.id) < String(b.id) ? -1 : 1;
+            });
+
+            var batches = [];       // FIFO queue of { qty, unitCost }
+            var units = 0;          // weighted average: units on hand
+            var avgCost = null;     // weighted average: current average cost
+            var lastCost = null;    // cost of the latest batch, used once stock runs out
+
+            events.forEach(function (ev) {
+                if (ev.kind === 'restock') {
+                    var qty = Number(ev.record.quantity) || 0;
+                    var unitCost = Number(ev.record.unitCost) || 0;
+                    batches.push({ qty: qty, unitCost: unitCost });
+                    var onHand = Math.max(units, 0);
+                    avgCost = onHand + qty > 0 ? ((avgCost || 0) * onHand + unitCost * qty) / (onHand + qty) : unitCost;
+                    units = onHand + qty;
+                    lastCost = unitCost;
+                    return;
+                }
+
+                var needed = Number(ev.record.quantity) || 0;
+                var estimate;
+                if (method === 'average') {
+                    estimate = avgCost;
+                } else {
+                    var total = 0, taken = 0;
+                    while (taken < needed && batches.length > 0) {
+                        var batch = batches[0];
+                        var take = Math.min(batch.qty, needed - taken);
+                        total += take * batch.unitCost;
+                        taken += take;
+                        batch.qty -= take;
+                        if (batch.qty === 0) batches.shift();
+                    }
+                    // Oversold units are costed at the latest known batch price
+                    if (taken < needed && lastCost !== null) total += (needed - taken) * lastCost;
+                    estimate = needed > 0 && lastCost !== null ? total / needed : lastCost;
+                }
+                units -= needed;
+
+                if (!hasExplicitCost(ev.record) && estimate !== null) {
+                    estimates[ev.id] = estimate;
+                }
+            });
+        });
+
+        return estimates;
+    }
+
+    function setCostMethod(method) {
+        if (!COST_METHODS[method]) return;
+        costMethod = method;
+        invalidateDerived();
+        SalesStore.setSetting('costMethod', method);
+        renderAll();
+    }
+
+    // ── Expenses ────────────────────────────────────────────
+
+    function findExpense(id) {
+        return expenses.find(function (x) { return x.id === id; }) || null;
+    }
+
+    /**
+     * Check raw expense values and return a map of field → error message.
+     * Shared by the expense form and backup restore.
+     */
+    function expenseErrors(raw) {
+        var errors = {};
+        if (!raw.date || !/^\d{4}-\d{2}-\d{2}$/.test(raw.date)) errors.date = 'Date is required';
+        if (!Object.prototype.hasOwnProperty.call(EXPENSE_CATEGORIES, raw.category)) errors.category = 'Select a category';
+        if (raw.amount === '' || raw.amount === null || raw.amount === undefined || !(Number(raw.amount) > 0)) errors.amount = 'Amount must be more than 0';
+        if (!PAYMENT_METHODS.includes(raw.paymentMethod)) errors.paymentMethod = 'Select a payment method';
+        return errors;
+    }
+
+    /** Validate the expense form and return { valid, data }. */
+    function validateExpenseForm() {
+        var fields = {
+            date: document.getElementById('expenseDate'),
+            category: document.getElementById('expenseCategory'),
+            amount: document.getElementById('expenseAmount'),
+            paymentMethod: document.getElementById('expensePaymentMethod')
+        };
+        var errors = expenseErrors({
+            date: fields.date.value,
+            category: fields.category.value,
+            amount: fields.amount.value,
+            paymentMethod: fields.paymentMethod.value
+        });
+
+        Object.keys(fields).forEach(function (key) {
+            document.getElementById(fields[key].id + 'Error').textContent = errors[key] || '';
+        });
+
+        if (Object.keys(errors).length > 0) return { valid: false, data: null };
+        return {
+            valid: true,
+            data: {
+                date: fields.date.value,
+                category: fields.category.value,
+                amount: Number(fields.amount.value),
+                paymentMethod: fields.paymentMethod.value,
+                notes: document.getElementById('expenseNotes').value.trim()
+            }
+        };
+    }
+
+    function saveExpense(data) {
+        var expense = findExpense(document.getElementById('expenseEditId').value);
+        if (expense) {
+            Object.assign(expense, data);
+        } else {
+            data.id = uid();
+            data.createdAt = new Date().toISOString();
+            data.createdBy = operator;
+            expenses.push(data);
+        }
+        saveExpenses();
+        resetExpenseForm();
+        renderExpenses();
+    }
+
+    function deleteExpense(id) {
+        expenses = expenses.filter(function (x) { return x.id !== id; });
+        saveExpenses();
+        resetExpenseForm();
+        renderExpenses();
+    }
+
+    function editExpense(id) {
+        var expense = findExpense(id);
+        if (!expense) return;
+        document.getElementById('expenseEditId').value = expense.id;
+        document.getElementById('expenseDate').value = expense.date;
+        document.getElementById('expenseCategory').value = expense.category;
+        document.getElementById('expenseAmount').value = expense.amount;
+        document.getElementById('expensePaymentMethod').value = expense.paymentMethod;
+        document.getElementById('expenseNotes').value = expense.notes || '';
+        document.getElementById('expenseSubmitBtn').textContent = 'Save Expense';
+        document.getElementById('expenseAmount').focus();
+    }
+
+    function resetExpenseForm() {
+        document.getElementById('expenseForm').reset();
+        document.getElementById('expenseEditId').value = '';
+        document.getElementById('expenseDate').value = todayISO();
+        document.getElementById('expenseSubmitBtn').textContent = 'Add Expense';
+        document.querySelectorAll('#expenseForm .error-msg').forEach(function (el) { el.textContent = ''; });
+    }
+
+    function renderExpenses() {
+        var sorted = expenses.slice().sort(function (a, b) {
+            if (b.date !== a.date) return b.date > a.date ? 1 : -1;
+            return String(b.id) > String(a.id) ? 1 : -1;
+        });
+        document.getElementById('expensesEmpty').hidden = sorted.length > 0;
+        document.getElementById('expensesTableBody').innerHTML = sorted.map(function (x) {
+            return '<tr>' +
+                '<td>' + x.date + '</td>' +
+                '<td>' + escapeHTML(EXPENSE_CATEGORIES[x.category]) + '</td>' +
+                '<td>' + naira(x.amount) + '</td>' +
+                '<td>' + ucfirst(x.paymentMethod) + '</td>' +
+                '<td>' + escapeHTML(x.notes || '—') + '</td>' +
+                '<td class="actions-cell">' +
+                '<button class="btn btn-sm btn-outline" data-expense-edit="' + x.id + '">Edit</button>' +
+                '<button class="btn btn-sm btn-danger-outline" data-expense-delete="' + x.id + '">Del</button>' +
+                '</td>' +
+                '</tr>';
+        }).join('');
+    }
+
+    function openExpensesModal() {
+        var select = document.getElementById('expenseCategory');
+        select.innerHTML = '<option value="">Select…</option>' + Object.keys(EXPENSE_CATEGORIES).map(function (key) {
+            return '<option value="' + key + '">' + escapeHTML(EXPENSE_CATEGORIES[key]) + '</option>';
+        }).join('');
+        resetExpenseForm();
+        renderExpenses();
+        document.getElementById('expensesModal').hidden = false;
+    }
+
+    function closeExpensesModal() {
+        document.getElementById('expensesModal').hidden = true;
+    }
+
+    // ── Profit & loss ───────────────────────────────────────
+    // A monthly statement over the whole journal. Cost of goods is what the
+    // sales' line profits leave out of revenue, so it follows the exact or
+    // estimated line costs; expenses are then taken off the gross profit.
+    // Refunds count in the month they were given, whenever the sale was.
+
+    /** P&L figures for one month ('YYYY-MM'). Revenue is after refunds. */
+    function profitAndLoss(month) {
+        var monthRefunds = [];
+        sales.forEach(function (s) {
+            (s.refunds || []).forEach(function (r) {
+                if (r.date.slice(0, 7) === month) monthRefunds.push({ sale: s, refund: r });
+            });
+        });
+        var summary = calculateSummary(sales.filter(function (s) { return s.date.slice(0, 7) === month; }), monthRefunds);
+        var byCategory = {};
+        var totalExpenses = 0;
+        expenses.forEach(function (x) {
+            if (x.date.slice(0, 7) !== month) return;
+            byCategory[x.category] = (byCategory[x.category] || 0) + Number(x.amount);
+            totalExpenses += Number(x.amount);
+        });
+        return {
+            month: month,
+            sold: summary.totalRev + summary.refunded,
+            refunds: summary.refunded,
+            revenue: summary.totalRev,
+            costOfGoods: summary.totalRev - summary.totalProf,
+            grossProfit: summary.totalProf,
+            expensesByCategory: byCategory,
+            expenses: totalExpenses,
+            netProfit: summary.totalProf - totalExpenses,
+            summary: summary
+        };
+    }
+
+    /** Every month with a sale or an expense, newest first. */
+    function profitLossMonths() {
+        var months = {};
+        sales.forEach(function (s) {
+            months[s.date.slice(0, 7)] = true;
+            (s.refunds || []).forEach(function (r) { months[r.date.slice(0, 7)] = true; });
+        });
+        expenses.forEach(function (x) { months[x.date.slice(0, 7)] = true; });
+        return Object.keys(months).sort().reverse();
+    }
+
+    /** 'YYYY-MM' → 'March 2026'. */
+    function monthLabel(month) {
+        return parseISODate(month + '-01').toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    function renderProfitLoss() {
+        var input = document.getElementById('profitLossMonth');
+        if (!/^\d{4}-\d{2}$/.test(input.value)) input.value = todayISO().slice(0, 7);
+        var pl = profitAndLoss(input.value);
+
+        var row = function (label, value, cls) {
+            return '<tr class="' + (cls || '') + '"><td>' + label + '</td><td>' + signedNaira(value) + '</td></tr>';
+        };
+        var margin = pl.revenue > 0 ? ' (' + (pl.grossProfit / pl.revenue * 100).toFixed(1) + '%)' : '';
+        var html = (pl.refunds ? row('Sales', pl.sold) + row('Returns & refunds', -pl.refunds, 'pl-indent') : '') +
+            row('Revenue', pl.revenue) +
+            row('Cost of goods', -pl.costOfGoods) +
+            row('Gross profit' + margin, pl.grossProfit, 'pl-total') +
+            '<tr class="pl-heading"><td colspan="2">Expenses</td></tr>';
+        Object.keys(EXPENSE_CATEGORIES).forEach(function (key) {
+            if (pl.expensesByCategory[key]) html += row(escapeHTML(EXPENSE_CATEGORIES[key]), -pl.expensesByCategory[key], 'pl-indent');
+        });
+        if (pl.expenses === 0) html += '<tr class="pl-indent"><td colspan="2">No expenses recorded this month</td></tr>';
+        html += row('Total expenses', -pl.expenses) +
+            row('Net profit', pl.netProfit, 'pl-total ' + (pl.netProfit >= 0 ? 'growth--up' : 'growth--down'));
+        document.getElementById('profitLossBody').innerHTML = html;
+
+        var note = profitNote(pl.summary);
+        document.getElementById('profitLossNote').textContent = note
+            ? note + ' — cost of goods uses estimated costs, and items without a cost add nothing to it.'
+            : '';
+
+        var months = profitLossMonths();
+        document.getElementById('profitLossMonthsEmpty').hidden = months.length > 0;
+        document.getElementById('profitLossMonthsBody').innerHTML = months.map(function (month) {
+            var m = profitAndLoss(month);
+            return '<tr>' +
+                '<td>' + monthLabel(month) + '</td>' +
+                '<td>' + naira(m.revenue) + '</td>' +
+                '<td>' + naira(m.costOfGoods) + '</td>' +
+                '<td>' + naira(m.grossProfit) + '</td>' +
+                '<td>' + naira(m.expenses) + '</td>' +
+                '<td class="' + (m.netProfit >= 0 ? 'growth--up' : 'growth--down') + '">' + naira(m.netProfit) + '</td>' +
+                '</tr>';
+        }).join('');
+    }
+
+    function openProfitLossModal() {
+        renderProfitLoss();
+        document.getElementById('profitLossModal').hidden = false;
+    }
+
+    function closeProfitLossModal() {
+        document.getElementById('profitLossModal').hidden = true;
+    }
+
+    // ── Cash book ───────────────────────────────────────────
+    // A running balance per payment method: the opening balance plus payments
+    // received for sales, deposits and count adjustments, minus refunds, expenses and withdrawals, counting
+    // everything dated on or after the opening date.
+
+    /**
+     * Check raw withdrawal/deposit values and return a map of field → error message.
+     * Shared by the cash book form and backup restore.
+     */
+    function movementErrors(raw) {
+        var errors = {};
+        if (!raw.date || !/^\d{4}-\d{2}-\d{2}$/.test(raw.date)) errors.date = 'Date is required';
+        if (!Object.prototype.hasOwnProperty.call(MOVEMENT_TYPES, raw.type)) errors.type = 'Select withdrawal or deposit';
+        if (!PAYMENT_METHODS.includes(raw.method)) errors.method = 'Select a payment method';
+        var amount = raw.amount === '' || raw.amount === null || raw.amount === undefined ? NaN : Number(raw.amount);
+        if (raw.type === 'adjustment' ? !(amount !== 0 && isFinite(amount)) : !(amount > 0)) errors.amount = 'Amount must be more than 0';
+        return errors;
+    }
+
+    /**
+     * Balances per payment method at the end of `throughDate` (or of everything recorded):
+     * method → { opening, sales, refunds, expenses, deposits, withdrawals, adjustments, balance }.
+     */
+    function cashBalances(throughDate) {
+        var from = openingBalances ? openingBalances.date : '';
+        var inRange = function (date) { return date >= from && (!throughDate || date <= throughDate); };
+        var book = {};
+        PAYMENT_METHODS.forEach(function (m) {
+            book[m] = {
+                opening: openingBalances ? Number(openingBalances[m]) || 0 : 0,
+                sales: 0, refunds: 0, expenses: 0, deposits: 0, withdrawals: 0, adjustments: 0, balance: 0
+            };
+        });
+        sales.forEach(function (s) {
+            (s.payments || []).forEach(function (p) {
+                if (inRange(p.date) && book[p.method]) book[p.method].sales += Number(p.amount) || 0;
+            });
+            // Returns taken off a balance owed move no money, so book[] has no entry for them
+            (s.refunds || []).forEach(function (r) {
+                if (inRange(r.date) && book[r.method]) book[r.method].refunds += Number(r.amount) || 0;
+            });
+        });
+        expenses.forEach(function (x) {
+            if (inRange(x.date) && book[x.paymentMethod]) book[x.paymentMethod].expenses += Number(x.amount);
+        });
+        cashMovements.forEach(function (mv) {
+            if (!inRange(mv.date) || !book[mv.method]) return;
+            if (mv.type === 'deposit') book[mv.method].deposits += Number(mv.amount);
+            else if (mv.type === 'withdrawal') book[mv.method].withdrawals += Number(mv.amount);
+            else book[mv.method].adjustments += Number(mv.amount);
+        });
+        PAYMENT_METHODS.forEach(function (m) {
+            var b = book[m];
+            b.balance = b.opening + b.sales - b.refunds - b.expenses + b.deposits - b.withdrawals + b.adjustments;
+        });
+        return book;
+    }
+
+    /** Signed naira amount, with a proper minus sign for negatives. */
+    function signedNaira(value) {
+        return value < 0 ? '−' + naira(-value) : naira(value || 0);
+    }
+
+    function renderCashBook() {
+        var book = cashBalances(null);
+        var total = { opening: 0, sales: 0, refunds: 0, expenses: 0, deposits: 0, withdrawals: 0, adjustments: 0, balance: 0 };
+        var row = function (label, b, cls) {
+            return '<tr class="' + (cls || '') + '">' +
+                '<td>' + label + '</td>' +
+                '<td>' + signedNaira(b.opening) + '</td>' +
+                '<td>' + naira(b.sales) + '</td>' +
+                '<td>' + naira(b.refunds) + '</td>' +
+                '<td>' + naira(b.expenses) + '</td>' +
+                '<td>' + naira(b.deposits) + '</td>' +
+                '<td>' + naira(b.withdrawals) + '</td>' +
+                '<td>' + signedNaira(b.adjustments) + '</td>' +
+                '<td><strong>' + signedNaira(b.balance) + '</strong></td>' +
+                '</tr>';
+        };
+        var html = PAYMENT_METHODS.map(function (m) {
+            Object.keys(total).forEach(function (k) { total[k] += book[m][k]; });
+            return row(ucfirst(m), book[m]);
+        }).join('');
+        document.getElementById('cashBalancesBody').innerHTML = html + row('Total', total, 'row--total');
+        document.getElementById('cashBookSummary').textContent = openingBalances
+            ? 'Balances from ' + openingBalances.date + ', including everything recorded since.'
+            : 'No opening balances yet — the balances below start from zero and count every sale and expense.';
+
+        var list = cashMovements.slice().sort(function (a, b) {
+            if (b.date !== a.date) return b.date > a.date ? 1 : -1;
+            return String(b.id) > String(a.id) ? 1 : -1;
+        });
+        document.getElementById('movementsEmpty').hidden = list.length > 0;
+        document.getElementById('movementsTableBody').innerHTML = list.map(function (mv) {
+            var signed = mv.type === 'withdrawal' ? -mv.amount : Number(mv.amount);
+            return '<tr>' +
+                '<td>' + mv.date + '</td>' +
+                '<td>' + MOVEMENT_TYPES[mv.type] + '</td>' +
+                '<td>' + ucfirst(mv.method) + '</td>' +
+                '<td>' + signedNaira(signed) + '</td>' +
+                '<td>' + escapeHTML(mv.notes || '—') + '</td>' +
+                '<td class="actions-cell">' +
+                '<button class="btn btn-sm btn-danger-outline" data-movement-delete="' + mv.id + '">Del</button>' +
+                '</td>' +
+                '</tr>';
+        }).join('');
+    }
+
+    /** Validate the opening-balance form and return { valid, data }. */
+    function validateOpeningForm() {
+        var errors = {};
+        var data = { date: document.getElementById('openingDate').value };
+        if (!data.date) errors.openingDate = 'Date is required';
+        PAYMENT_METHODS.forEach(function (m) {
+            var key = 'opening' + ucfirst(m);
+            var value = document.getElementById(key).value;
+            if (value !== '' && !isFinite(Number(value))) errors[key] = 'Enter an amount';
+            data[m] = Number(value) || 0;
+        });
+
+        ['openingDate'].concat(PAYMENT_METHODS.map(function (m) { return 'opening' + ucfirst(m); })).forEach(function (key) {
+            document.getElementById(key + 'Error').textContent = errors[key] || '';
+        });
+
+        if (Object.keys(errors).length > 0) return { valid: false, data: null };
+        return { valid: true, data: data };
+    }
+
+    function saveOpeningBalances(data) {
+        openingBalances = data;
+        SalesStore.setSetting('openingBalances', data);
+        renderCashBook();
+    }
+
+    /** Validate the withdrawal/deposit form and return { valid, data }. */
+    function validateMovementForm() {
+        var fields = {
+            date: document.getElementById('movementDate'),
+            type: document.getElementById('movementType'),
+            method: document.getElementById('movementMethod'),
+            amount: document.getElementById('movementAmount')
+        };
+        var errors = movementErrors({
+            date: fields.date.value,
+            type: fields.type.value,
+            method: fields.method.value,
+            amount: fields.amount.value
+        });
+        // Adjustments only come from close-of-day counts
+        if (fields.type.value === 'adjustment') errors.type = 'Select withdrawal or deposit';
+
+        Object.keys(fields).forEach(function (key) {
+            document.getElementById(fields[key].id + 'Error').textContent = errors[key] || '';
+        });
+
+        if (Object.keys(errors).length > 0) return { valid: false, data: null };
+        return {
+            valid: true,
+            data: {
+                date: fields.date.value,
+                type: fields.type.value,
+                method: fields.method.value,
+                amount: Number(fields.amount.value),
+                notes: document.getElementById('movementNotes').value.trim()
+            }
+        };
+    }
+
+    function addMovement(data) {
+        data.id = uid();
+        data.createdAt = new Date().toISOString();
+        data.createdBy = operator;
+        cashMovements.push(data);
+        saveCashMovements();
+    }
+
+    function deleteMovement(id) {
+        cashMovements = cashMovements.filter(function (mv) { return mv.id !== id; });
+        saveCashMovements();
+        renderCashBook();
+    }
+
+    function resetMovementForm() {
+        document.getElementById('movementForm').reset();
+        document.getElementById('movementDate').value = todayISO();
+        document.querySelectorAll('#movementForm .error-msg').forEach(function (el) { el.textContent = ''; });
+    }
+
+    function openCashBookModal() {
+        document.getElementById('openingDate').value = openingBalances ? openingBalances.date : todayISO();
+        PAYMENT_METHODS.forEach(function (m) {
+            document.getElementById('opening' + ucfirst(m)).value = openingBalances ? openingBalances[m] : '';
+        });
+        document.querySelectorAll('#openingForm .error-msg').forEach(function (el) { el.textContent = ''; });
+        resetMovementForm();
+        renderCashBook();
+        document.getElementById('cashBookModal').hidden = false;
+    }
+
+    function closeCashBookModal() {
+        document.getElementById('cashBookModal').hidden = true;
+    }
+
+    // ── Close of day ────────────────────────────────────────
+
+    /** Fill the count table with each method's expected balance at the end of the chosen day. */
+    function renderCloseDay() {
+        var input = document.getElementById('closeDayDate');
+        if (!input.value) input.value = todayISO();
+        var book = cashBalances(input.value);
+        document.getElementById('closeDayError').textContent = '';
+        document.getElementById('closeDayBody').innerHTML = PAYMENT_METHODS.map(function (m) {
+            return '<tr data-close-method="' + m + '" data-expected="' + book[m].balance + '">' +
+                '<td>' + ucfirst(m) + '</td>' +
+                '<td>' + signedNaira(book[m].balance) + '</td>' +
+                '<td><input type="number" class="close-counted" step="0.01" placeholder="Not counted"></td>' +
+                '<td class="close-difference">—</td>' +
+                '</tr>';
+        }).join('');
+        renderReconciliations();
+    }
+
+    /** Show counted − expected next to each count as it is typed. */
+    function updateCloseDifference(rowEl) {
+        var value = rowEl.querySelector('.close-counted').value;
+        var cell = rowEl.querySelector('.close-difference');
+        if (value === '' || !isFinite(Number(value))) {
+            cell.textContent = '—';
+            cell.className = 'close-difference';
+            return;
+        }
+        var diff = Number(value) - Number(rowEl.getAttribute('data-expected'));
+        cell.textContent = diff === 0 ? 'Balanced' : (diff > 0 ? 'Over ' : 'Short ') + naira(Math.abs(diff));
+        cell.className = 'close-difference ' + (diff === 0 ? '' : diff > 0 ? 'growth--up' : 'growth--down');
+    }
+
+    /** Record the counts; optionally post the differences as adjustments so the book matches. */
+    function saveCloseDay() {
+        var date = document.getElementById('closeDayDate').value;
+        var adjust = document.getElementById('closeDayAdjust').checked;
+        var rows = Array.prototype.slice.call(document.querySelectorAll('#closeDayBody [data-close-method]'));
+        var counts = [];
+        var invalid = false;
+        rows.forEach(function (rowEl) {
+            var value = rowEl.querySelector('.close-counted').value;
+            if (value === '') return;
+            if (!isFinite(Number(value))) {
+                invalid = true;
+                return;
+            }
+            var expected = Number(rowEl.getAttribute('data-expected'));
+            counts.push({ method: rowEl.getAttribute('data-close-method'), expected: expected, counted: Number(value), difference: Number(value) - expected });
+        });
+
+        var errorEl = document.getElementById('closeDayError');
+        if (!date) errorEl.textContent = 'Pick the day you are closing';
+        else if (invalid) errorEl.textContent = 'Counts must be amounts';
+        else if (counts.length === 0) errorEl.textContent = 'Enter the counted amount for at least one method';
+        else errorEl.textContent = '';
+        if (errorEl.textContent) return;
+
+        var now = new Date().toISOString();
+        counts.forEach(function (c) {
+            // A new count for the same day and method replaces the earlier one
+            reconciliations = reconciliations.filter(function (r) { return !(r.date === date && r.method === c.method); });
+            reconciliations.push({
+                id: uid(), date: date, method: c.method, expected: c.expected, counted: c.counted,
+                difference: c.difference, countedAt: now, countedBy: operator
+            });
+            if (adjust && c.difference !== 0) {
+                addMovement({ date: date, type: 'adjustment', method: c.method, amount: c.difference, notes: 'Close-of-day count' });
+            }
+        });
+        saveReconciliations();
+
+        var off = counts.filter(function (c) { return c.difference !== 0; });
+        showToast(off.length === 0
+            ? 'Count saved — everything balances.'
+            : 'Count saved. ' + off.map(function (c) { return ucfirst(c.method) + ' ' + (c.difference > 0 ? 'over' : 'short') + ' by ' + naira(Math.abs(c.difference)); }).join(', ') + '.');
+        renderCloseDay();
+    }
+
+    function renderReconciliations() {
+        var list = reconciliations.slice().sort(function (a, b) {
+            if (b.date !== a.date) return b.date > a.date ? 1 : -1;
+            return PAYMENT_METHODS.indexOf(a.method) - PAYMENT_METHODS.indexOf(b.method);
+        });
+        document.getElementById('reconciliationsEmpty').hidden = list.length > 0;
+        document.getElementById('reconciliationsBody').innerHTML = list.map(function (r) {
+            return '<tr>' +
+                '<td>' + r.date + '</td>' +
+                '<td>' + ucfirst(r.method) + '</td>' +
+                '<td>' + signedNaira(r.expected) + '</td>' +
+                '<td>' + signedNaira(r.counted) + '</td>' +
+                '<td class="' + (r.difference === 0 ? '' : r.difference > 0 ? 'growth--up' : 'growth--down') + '">' + (r.difference === 0 ? 'Balanced' : signedNaira(r.difference)) + '</td>' +
+                '<td>' + escapeHTML(r.countedBy || '—') + '</td>' +
+                '</tr>';
+        }).join('');
+    }
+
+    function openCloseDayModal() {
+        document.getElementById('closeDayDate').value = todayISO();
+        renderCloseDay();
+        document.getElementById('closeDayModal').hidden = false;
+    }
+
+    function closeCloseDayModal() {
+        document.getElementById('closeDayModal').hidden = true;
+    }
+
+    // ── Reports ─────────────────────────────────────────────
+    // Revenue/profit trends, growth and best sellers for the filtered sales.
+    // Trends take refunds off the period they were given in.
+    // Charts are plain SVG strings so everything works offline.
+
+    var PERIOD_NAMES = { day: 'Day', week: 'Week', month: 'Month' };
+
+    /** Parse 'YYYY-MM-DD' as a UTC date so period maths ignores time zones. */
+    function parseISODate(iso) {
+        var parts = iso.split('-');
+        return new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])));
+    }
+
+    function formatISODate(d) {
+        return d.getUTCFullYear() + '-' +
+            String(d.getUTCMonth() + 1).padStart(2, '0') + '-' +
+            String(d.getUTCDate()).padStart(2, '0');
+    }
+
+    /** ISO-8601 week key, e.g. '2026-W07'. Weeks start on Monday. */
+    function isoWeekKey(iso) {
+        var d = parseISODate(iso);
+        var day = d.getUTCDay() || 7;
+        d.setUTCDate(d.getUTCDate() + 4 - day); // Thursday decides the year
+        var yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+        var week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+        return d.getUTCFullYear() + '-W' + String(week).padStart(2, '0');
+    }
+
+    function periodKey(iso, grouping) {
+        if (grouping === 'month') return iso.slice(0, 7);
+        if (grouping === 'week') return isoWeekKey(iso);
+        return iso;
+    }
+
+    /** Every period key from the first to the last date, so gaps show as zero. */
+    function periodRange(fromISO, toISO, grouping) {
+        var keys = [];
+        var d = parseISODate(fromISO);
+        var end = parseISODate(toISO);
+        if (grouping === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() || 7) - 1));
+        if (grouping === 'month') d.setUTCDate(1);
+        while (d <= end) {
+            keys.push(periodKey(formatISODate(d), grouping));
+            if (grouping === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+            else d.setUTCDate(d.getUTCDate() + (grouping === 'week' ? 7 : 1));
+        }
+        return keys;
+    }
+
+    /** Group sales, less refunds ([{ sale, refund }]), into periods: [{ key, revenue, profit, count, growth }]. */
+    function groupByPeriod(list, grouping, refundList) {
+        refundList = refundList || [];
+        if (list.length === 0 && refundList.length === 0) return [];
+        var dates = list.map(function (s) { return s.date; }).concat(refundList.map(function (r) { return r.refund.date; })).sort();
+        var totals = {};
+        periodRange(dates[0], dates[dates.length - 1], grouping).forEach(function (key) {
+            totals[key] = { key: key, revenue: 0, profit: 0, count: 0, growth: null };
+        });
+        list.forEach(function (s) {
+            var bucket = totals[periodKey(s.date, grouping)];
+            bucket.revenue += orderRevenue(s);
+            bucket.profit += orderProfit(s);
+            bucket.count++;
+        });
+        refundList.forEach(function (r) {
+            var bucket = totals[periodKey(r.refund.date, grouping)];
+            bucket.revenue -= Number(r.refund.amount) || 0;
+            bucket.profit -= refundProfit(r.sale, r.refund);
+        });
+
+        var periods = Object.keys(totals).sort().map(function (k) { return totals[k]; });
+        periods.forEach(function (p, i) {
+            var prev = periods[i - 1];
+            if (prev && prev.revenue > 0) p.growth = (p.revenue - prev.revenue) / prev.revenue * 100;
+        });
+        return periods;
+    }
+
+    /** Rank items by quantity sold and by profit (after their share of order discounts). */
+    function bestSellers(list) {
+        var items = {};
+        list.forEach(function (s) {
+            s.lines.forEach(function (line) {
+                var name = lineItemName(line);
+                var key = line.productId || name.toLowerCase();
+                var item = items[key] = items[key] || { name: name, quantity: 0, revenue: 0, profit: 0 };
+                var disc = lineDiscount(line, s);
+                item.quantity += Number(line.quantity) || 0;
+                item.revenue += lineRevenue(line) - disc;
+                item.profit += lineProfit(line) - disc;
+            });
+        });
+        var all = Object.keys(items).map(function (k) { return items[k]; });
+        return {
+            byQuantity: all.slice().sort(function (a, b) { return b.quantity - a.quantity; }).slice(0, 10),
+            byProfit: all.slice().sort(function (a, b) { return b.profit - a.profit; }).slice(0, 10)
+        };
+    }
+
+    function formatGrowth(growth) {
+        if (growth === null) return '—';
+        return (growth >= 0 ? '▲ ' : '▼ ') + Math.abs(growth).toFixed(1) + '%';
+    }
+
+    /** Revenue bars with a profit line, as an SVG string. */
+    function renderTrendChart(periods) {
+        var W = 640, H = 260, padL = 64, padR = 12, padT = 12, padB = 40;
+        var plotW = W - padL - padR, plotH = H - padT - padB;
+
+        var max = 0, min = 0;
+        periods.forEach(function (p) {
+            max = Math.max(max, p.revenue, p.profit);
+            min = Math.min(min, p.profit);
+        });
+        if (max === min) max = min + 1;
+
+        var y = function (v) { return padT + (max - v) / (max - min) * plotH; };
+        var slot = plotW / periods.length;
+        var barW = Math.max(slot * 0.6, 1);
+        var labelEvery = Math.ceil(periods.length / 8);
+
+        var svg = '<svg class="chart" viewBox="0 0 ' + W + ' ' + H + '" role="img" aria-label="Revenue and profit by period">';
+
+        // Gridlines and y-axis labels
+        for (var i = 0; i <= 4; i++) {
+            var v = min + (max - min) * i / 4;
+            svg += '<line class="chart-grid" x1="' + padL + '" x2="' + (W - padR) + '" y1="' + y(v) + '" y2="' + y(v) + '"/>' +
+                '<text class="chart-axis" x="' + (padL - 6) + '" y="' + (y(v) + 4) + '" text-anchor="end">' + naira(Math.round(v)) + '</text>';
+        }
+
+        var points = [];
+        periods.forEach(function (p, i) {
+            var x = padL + slot * i + (slot - barW) / 2;
+            svg += '<rect class="chart-bar" x="' + x + '" y="' + y(Math.max(p.revenue, 0)) + '" width="' + barW +
+                '" height="' + Math.abs(y(0) - y(p.revenue)) + '"><title>' + p.key + ': ' + naira(p.revenue) + '</title></rect>';
+            points.push((padL + slot * i + slot / 2) + ',' + y(p.profit));
+            if (i % labelEvery === 0) {
+                svg += '<text class="chart-axis" x="' + (padL + slot * i + slot / 2) + '" y="' + (H - padB + 16) + '" text-anchor="middle">' + p.key + '</text>';
+            }
+        });
+        svg += '<polyline class="chart-line" points="' + points.join(' ') + '"/>';
+        svg += '</svg>';
+        return svg;
+    }
+
+    // Counts report renders, so a slow read can't overwrite a newer report.
+    var reportsRender = 0;
+
+    /** Sales the report starts from: with dates filtered, only those in range, read through the date index. */
+    function reportSales() {
+        var f = getFilters();
+        if (!f.dateFrom && !f.dateTo) return Promise.resolve(sales);
+        if (f.dateFrom && f.dateTo && f.dateFrom > f.dateTo) return Promise.resolve([]);
+        return SalesStore.salesBetween(f.dateFrom || '0000-01-01', f.dateTo || '9999-12-31').catch(function () { return sales; });
+    }
+
+    function renderReports() {
+        var render = ++reportsRender;
+        reportSales().then(function (list) {
+            if (render === reportsRender) renderReport(list);
+        });
+    }
+
+    function renderReport(list) {
+        var grouping = document.getElementById('reportGrouping').value;
+        var filtered = applyFilters(list);
+        var periods = groupByPeriod(filtered, grouping, applyRefundFilters(sales));
+
+        document.getElementById('reportsEmpty').hidden = periods.length > 0;
+        document.getElementById('reportsContent').hidden = periods.length === 0;
+        if (periods.length === 0) return;
+
+        document.getElementById('reportPeriodHeading').textContent = PERIOD_NAMES[grouping];
+        document.getElementById('reportChart').innerHTML = renderTrendChart(periods);
+
+        document.getElementById('reportPeriodsBody').innerHTML = periods.slice().reverse().map(function (p) {
+            return '<tr>' +
+                '<td>' + p.key + '</td>' +
+                '<td>' + p.count + '</td>' +
+                '<td>' + naira(p.revenue) + '</td>' +
+                '<td>' + naira(p.profit) + '</td>' +
+                '<td class="' + (p.growth === null ? '' : p.growth >= 0 ? 'growth--up' : 'growth--down') + '">' + formatGrowth(p.growth) + '</td>' +
+                '</tr>';
+        }).join('');
+
+        var best = bestSellers(filtered);
+        var rankRows = function (list, valueFn) {
+            return list.map(function (item, i) {
+                return '<tr><td>' + (i + 1) + '</td><td>' + escapeHTML(item.name) + '</td><td>' + valueFn(item) + '</td></tr>';
+            }).join('');
+        };
+        document.getElementById('reportTopQtyBody').innerHTML = rankRows(best.byQuantity, function (item) { return item.quantity; });
+        document.getElementById('reportTopProfitBody').innerHTML = rankRows(best.byProfit, function (item) { return naira(item.profit); });
+    }
+
+    function openReportsModal() {
+        renderReports();
+        document.getElementById('reportsModal').hidden = false;
+    }
+
+    function closeReportsModal() {
+        document.getElementById('reportsModal').hidden = true;
+    }
+
+    // ── Customers ───────────────────────────────────────────
+    // A sale attached to a customer is 'new' if it is that customer's first
+    // sale (by date, then creation order) and 'returning' otherwise. Sales
+    // without a customer keep the type picked by hand.
+
+    function findCustomer(id) {
+        if (!id) return null;
+        return customers.find(function (c) { return c.id === id; }) || null;
+    }
+
+    /** Sales of one customer, oldest first. */
+    function customerSales(customerId) {
+        return sales.filter(function (s) { return s.customerId === customerId; }).sort(function (a, b) {
+            if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+            return String(a.id) < String(b.id) ? -1 : 1;
+        });
+    }
+
+    function getCustomerTypes() {
+        if (customerTypes) return customerTypes;
+        customerTypes = {};
+        customers.forEach(function (c) {
+            customerSales(c.id).forEach(function (s, i) {
+                customerTypes[s.id] = i === 0 ? 'new' : 'returning';
+            });
+        });
+        return customerTypes;
+    }
+
+    /** Effective customer type of a sale. */
+    function saleCustomerType(sale) {
+        return getCustomerTypes()[sale.id] || sale.customerType;
+    }
+
+    function customerBadge(sale) {
+        var type = saleCustomerType(sale);
+        return '<span class="badge badge--' + type + '">' + ucfirst(type) + '</span>';
+    }
+
+    /**
+     * Type a sale on `date` would get for this customer.
+     * @param {string|null} ignoreId – the sale being edited, left out of the history
+     */
+    function customerTypeFor(customerId, date, ignoreId) {
+        var earlier = sales.some(function (s) {
+            return s.customerId === customerId && s.id !== ignoreId && s.date <= date;
+        });
+        return earlier ? 'returning' : 'new';
+    }
+
+    /** Lifetime spend, visit count and last purchase date for a customer. */
+    function customerStats(customerId) {
+        var list = customerSales(customerId);
+        var spend = 0;
+        list.forEach(function (s) { spend += orderRevenue(s); });
+        return {
+            visits: list.length,
+            spend: spend,
+            lastPurchase: list.length ? list[list.length - 1].date : null
+        };
+    }
+
+    function renderCustomerOptions() {
+        var sorted = customers.slice().sort(function (a, b) { return a.name.localeCompare(b.name); });
+        ['customerSelect', 'editCustomerSelect'].forEach(function (selectId) {
+            var select = document.getElementById(selectId);
+            var current = select.value;
+            var html = '<option value="">Walk-in (no record)</option>';
+            sorted.forEach(function (c) {
+                html += '<option value="' + c.id + '">' + escapeHTML(c.name) + (c.phone ? ' · ' + escapeHTML(c.phone) : '') + '</option>';
+            });
+            select.innerHTML = html;
+            select.value = findCustomer(current) ? current : '';
+        });
+    }
+
+    /** With a customer picked, show their derived type and lock the radio. */
+    function syncCustomerType(prefix) {
+        var isEdit = prefix === 'edit';
+        var customerId = document.getElementById(isEdit ? 'editCustomerSelect' : 'customerSelect').value;
+        var radios = document.querySelectorAll('input[name="' + (isEdit ? 'editCustomerType' : 'customerType') + '"]');
+        var date = document.getElementById(isEdit ? 'editDate' : 'saleDate').value || todayISO();
+        var type = customerId ? customerTypeFor(customerId, date, isEdit ? document.getElementById('editId').value : null) : null;
+
+        radios.forEach(function (radio) {
+            radio.disabled = !!customerId;
+            if (type) radio.checked = radio.value === type;
+        });
+        document.getElementById(isEdit ? 'editCustomerTypeHint' : 'customerTypeHint').textContent =
+            customerId ? 'Set automatically from this customer’s history' : '';
+    }
+
+    /** Validate the customer form and return { valid, data }. */
+    function validateCustomerForm() {
+        var editId = document.getElementById('customerEditId').value;
+        var name = document.getElementById('customerName').value.trim();
+        var phone = document.getElementById('customerPhone').value.trim();
+        var errors = {};
+
+        if (!name) errors.customerName = 'Customer name is required';
+        if (phone && !/^\+?[\d\s-]{7,}$/.test(phone)) errors.customerPhone = 'Enter a valid phone number';
+        else if (phone && customers.some(function (c) { return c.id !== editId && c.phone === phone; })) errors.customerPhone = 'Another customer has this phone number';
+
+        ['customerName', 'customerPhone'].forEach(function (key) {
+            document.getElementById(key + 'Error').textContent = errors[key] || '';
+        });
+
+        if (Object.keys(errors).length > 0) return { valid: false, data: null };
+        return {
+            valid: true,
+            data: {
+                name: name,
+                phone: phone,
+                address: document.getElementById('customerAddress').value.trim(),
+                notes: document.getElementById('customerNotes').value.trim()
+            }
+        };
+    }
+
+    function saveCustomer(data) {
+        var customer = findCustomer(document.getElementById('customerEditId').value);
+        if (customer) {
+            Object.assign(customer, data);
+        } else {
+            data.id = uid();
+            customers.push(data);
+        }
+        saveCustomers();
+        resetCustomerForm();
+        renderCustomers();
+        renderCustomerOptions();
+        renderAll();
+    }
+
+    function deleteCustomer(id) {
+        customers = customers.filter(function (c) { return c.id !== id; });
+        saveCustomers();
+        renderCustomers();
+        renderCustomerOptions();
+    }
+
+    function editCustomer(id) {
+        var customer = findCustomer(id);
+        if (!customer) return;
+        document.getElementById('customerEditId').value = customer.id;
+        document.getElementById('customerName').value = customer.name;
+        document.getElementById('customerPhone').value = customer.phone || '';
+        document.getElementById('customerAddress').value = customer.address || '';
+        document.getElementById('customerNotes').value = customer.notes || '';
+        document.getElementById('customerSubmitBtn').textContent = 'Save Customer';
+        document.getElementById('customerName').focus();
+    }
+
+    function resetCustomerForm() {
+        document.getElementById('customerForm').reset();
+        document.getElementById('customerEditId').value = '';
+        document.getElementById('customerSubmitBtn').textContent = 'Add Customer';
+        document.querySelectorAll('#customerForm .error-msg').forEach(function (el) { el.textContent = ''; });
+    }
+
+    function renderCustomers() {
+        var sorted = customers.slice().sort(function (a, b) { return a.name.localeCompare(b.name); });
+        document.getElementById('customersEmpty').hidden = sorted.length > 0;
+        document.getElementById('customersTableBody').innerHTML = sorted.map(function (c) {
+            var stats = customerStats(c.id);
+            return '<tr>' +
+                '<td>' + escapeHTML(c.name) + '</td>' +
+                '<td>' + escapeHTML(c.phone || '—') + '</td>' +
+                '<td>' + stats.visits + '</td>' +
+                '<td>' + naira(stats.spend) + '</td>' +
+                '<td>' + (stats.lastPurchase || '—') + '</td>' +
+                '<td class="actions-cell">' +
+                '<button class="btn btn-sm btn-outline" data-customer-history="' + c.id + '">History</button>' +
+                '<button class="btn btn-sm btn-outline" data-customer-edit="' + c.id + '">Edit</button>' +
+                (stats.visits === 0 ? '<button class="btn btn-sm btn-danger-outline" data-customer-delete="' + c.id + '">Del</button>' : '') +
+                '</td>' +
+                '</tr>';
+        }).join('');
+    }
+
+    function openCustomersModal() {
+        resetCustomerForm();
+        renderCustomers();
+        document.getElementById('customersModal').hidden = false;
+    }
+
+    function closeCustomersModal() {
+        document.getElementById('customersModal').hidden = true;
+    }
+
+    function openCustomerHistory(id) {
+        var customer = findCustomer(id);
+        if (!customer) return;
+        var stats = customerStats(id);
+        var types = getCustomerTypes();
+
+        document.getElementById('customerHistoryName').textContent = customer.name;
+        document.getElementById('customerHistoryContact').textContent =
+            [customer.phone, customer.address].filter(Boolean).join(' · ') || 'No contact details';
+        document.getElementById('customerHistoryNotes').textContent = customer.notes || '';
+        document.getElementById('customerHistorySpend').textContent = naira(stats.spend);
+        document.getElementById('customerHistoryVisits').textContent = stats.visits;
+        document.getElementById('customerHistoryLast').textContent = stats.lastPurchase || '—';
+
+        document.getElementById('customerHistoryBody').innerHTML = customerSales(id).reverse().map(function (s) {
+            return '<tr>' +
+                '<td>' + s.date + '</td>' +
+                '<td>' + escapeHTML(orderTitle(s)) + '</td>' +
+                '<td>' + orderQuantity(s) + '</td>' +
+                '<td>' + naira(orderRevenue(s)) + '</td>' +
+                '<td>' + ucfirst(types[s.id]) + '</td>' +
+                '</tr>';
+        }).join('');
+        document.getElementById('customerHistoryEmpty').hidden = stats.visits > 0;
+        document.getElementById('customerHistoryModal').hidden = false;
+    }
+
+    function closeCustomerHistory() {
+        document.getElementById('customerHistoryModal').hidden = true;
+    }
+
+    // ── Payments & debts ────────────────────────────────────
+    // Each sale keeps the payments received for it; whatever is left of its
+    // total is owed. Debts are grouped by customer, walk-in sales together.
+
+    // Sale shown in the payments modal.
+    var paymentsSaleId = null;
+
+    /** Whole days from an ISO date to today. */
+    function daysSince(iso) {
+        return Math.max(Math.round((parseISODate(todayISO()) - parseISODate(iso)) / 86400000), 0);
+    }
+
+    function formatAge(days) {
+        if (days === 0) return 'Today';
+        return days + (days === 1 ? ' day' : ' days');
+    }
+
+    /**
+     * Check raw payment values against what is still owed and return a map
+     * of field → error message.
+     */
+    function paymentErrors(raw, balance) {
+        var errors = {};
+        if (!raw.date || !/^\d{4}-\d{2}-\d{2}$/.test(raw.date)) errors.date = 'Date is required';
+        if (!PAYMENT_METHODS.includes(raw.method)) errors.method = 'Select a payment method';
+        if (raw.amount === '' || !(Number(raw.amount) > 0)) errors.amount = 'Amount must be more than 0';
+        else if (Number(raw.amount) > balance) errors.amount = 'Only ' + naira(balance) + ' is owed';
+        return errors;
+    }
+
+    /** Replace some fields of a sale (its payments or refunds), as an undoable change recorded in its history. */
+    function changeSale(id, fields, label) {
+        var idx = sales.findIndex(function (s) { return s.id === id; });
+        if (idx === -1) return;
+        recordChange(label, [id]);
+        var next = Object.assign({}, sales[idx], fields);
+        carryHistory(sales[idx], next);
+        sales[idx] = next;
+        saveSale(next);
+        renderAll();
+        if (!document.getElementById('debtsModal').hidden) renderDebts();
+    }
+
+    function validatePaymentForm(sale) {
+        var fields = {
+            date: document.getElementById('payDate'),
+            method: document.getElementById('payMethod'),
+            amount: document.getElementById('payAmount')
+        };
+        var errors = paymentErrors({
+            date: fields.date.value,
+            method: fields.method.value,
+            amount: fields.amount.value
+        }, orderBalance(sale));
+
+        Object.keys(fields).forEach(function (key) {
+            document.getElementById(fields[key].id + 'Error').textContent = errors[key] || '';
+        });
+
+        if (Object.keys(errors).length > 0) return { valid: false, data: null };
+        return {
+            valid: true,
+            data: { id: uid(), date: fields.date.value, method: fields.method.value, amount: Number(fields.amount.value) }
+        };
+    }
+
+    function addPayment(payment) {
+        var sale = findSale(paymentsSaleId);
+        if (!sale) return;
+        changeSale(sale.id, { payments: (sale.payments || []).concat(payment) }, 'Record payment');
+        showToast('Payment of ' + naira(payment.amount) + ' recorded.', 'Undo', undo);
+        renderPayments();
+    }
+
+    function deletePayment(paymentId) {
+        var sale = findSale(paymentsSaleId);
+        if (!sale) return;
+        changeSale(sale.id, { payments: sale.payments.filter(function (p) { return p.id !== paymentId; }) }, 'Delete payment');
+        renderPayments();
+    }
+
+    function renderPayments() {
+        var sale = findSale(paymentsSaleId);
+        if (!sale) {
+            closePaymentsModal();
+            return;
+        }
+        var status = paymentStatus(sale);
+        document.getElementById('paymentsSummary').innerHTML =
+            escapeHTML(sale.date + ' · ' + orderTitle(sale)) + '<br>' +
+            'Total ' + naira(orderRevenue(sale)) + ' · Paid ' + naira(orderPaid(sale)) +
+            (orderRefunded(sale, 'balance') ? ' · Returns ' + naira(orderRefunded(sale, 'balance')) : '') + ' · Owed ' + naira(orderBalance(sale)) +
+            ' <span class="badge badge--' + (status === 'paid' ? 'new' : status) + '">' + PAYMENT_STATUSES[status] + '</span>';
+
+        var list = (sale.payments || []).slice().sort(function (a, b) { return a.date < b.date ? -1 : a.date > b.date ? 1 : 0; });
+        document.getElementById('paymentsEmpty').hidden = list.length > 0;
+        document.getElementById('paymentsTableBody').innerHTML = list.map(function (p) {
+            return '<tr>' +
+                '<td>' + p.date + '</td>' +
+                '<td>' + ucfirst(p.method) + '</td>' +
+                '<td>' + naira(p.amount) + '</td>' +
+                '<td class="actions-cell">' +
+                '<button class="btn btn-sm btn-danger-outline" data-payment-delete="' + p.id + '">Del</button>' +
+                '</td>' +
+                '</tr>';
+        }).join('');
+
+        var form = document.getElementById('paymentForm');
+        form.hidden = status === 'paid';
+        form.reset();
+        form.querySelectorAll('.error-msg').forEach(function (el) { el.textContent = ''; });
+        document.getElementById('payDate').value = todayISO();
+        document.getElementById('payMethod').value = sale.paymentMethod;
+        document.getElementById('payAmount').value = orderBalance(sale) || '';
+    }
+
+    function openPaymentsModal(id) {
+        if (!findSale(id)) return;
+        paymentsSaleId = id;
+        renderPayments();
+        document.getElementById('paymentsModal').hidden = false;
+    }
+
+    function closePaymentsModal() {
+        document.getElementById('paymentsModal').hidden = true;
+        paymentsSaleId = null;
+    }
+
+    /** Sales with something owed, grouped by customer: [{ name, sales, total, paid, owed, oldest }], biggest debt first. */
+    function debtsByCustomer() {
+        var groups = {};
+        sales.forEach(function (sale) {
+            if (orderBalance(sale) === 0) return;
+            var customer = findCustomer(sale.customerId);
+            var key = customer ? customer.id : '';
+            var group = groups[key] = groups[key] || { name: customer ? customer.name : 'Walk-in customers', sales: [], total: 0, paid: 0, owed: 0, oldest: 0 };
+            group.sales.push(sale);
+            group.total += orderRevenue(sale);
+            group.paid += orderPaid(sale);
+            group.owed += orderBalance(sale);
+            group.oldest = Math.max(group.oldest, daysSince(sale.date));
+        });
+        return Object.keys(groups).map(function (k) {
+            groups[k].sales.sort(function (a, b) { return a.date < b.date ? -1 : a.date > b.date ? 1 : 0; });
+            return groups[k];
+        }).sort(function (a, b) { return b.owed - a.owed; });
+    }
+
+    function renderDebts() {
+        var groups = debtsByCustomer();
+        var owed = 0;
+        var ages = { week: 0, month: 0, older: 0 };
+        var html = '';
+        groups.forEach(function (g) {
+            owed += g.owed;
+            html += '<tr class="row--group">' +
+                '<td>' + escapeHTML(g.name) + '</td>' +
+                '<td>' + g.sales.length + '</td>' +
+                '<td>' + naira(g.total) + '</td>' +
+                '<td>' + naira(g.paid) + '</td>' +
+                '<td>' + naira(g.owed) + '</td>' +
+                '<td>' + formatAge(g.oldest) + '</td>' +
+                '<td></td>' +
+                '</tr>';
+            g.sales.forEach(function (sale) {
+                var age = daysSince(sale.date);
+                if (age <= 7) ages.week += orderBalance(sale);
+                else if (age <= 30) ages.month += orderBalance(sale);
+                else ages.older += orderBalance(sale);
+                html += '<tr>' +
+                    '<td>' + sale.date + ' · ' + escapeHTML(orderTitle(sale)) + '</td>' +
+                    '<td></td>' +
+                    '<td>' + naira(orderRevenue(sale)) + '</td>' +
+                    '<td>' + naira(orderPaid(sale)) + '</td>' +
+                    '<td>' + naira(orderBalance(sale)) + '</td>' +
+                    '<td>' + formatAge(age) + '</td>' +
+                    '<td class="actions-cell">' +
+                    '<button class="btn btn-sm btn-outline" data-payments="' + sale.id + '">Record Payment</button>' +
+                    '</td>' +
+                    '</tr>';
+            });
+        });
+        document.getElementById('debtsTableBody').innerHTML = html;
+        document.getElementById('debtsEmpty').hidden = groups.length > 0;
+        document.getElementById('debtsSummary').textContent = groups.length === 0 ? '' :
+            naira(owed) + ' owed by ' + groups.length + (groups.length === 1 ? ' customer' : ' customers') +
+            ' · up to 7 days: ' + naira(ages.week) + ' · 8–30 days: ' + naira(ages.month) + ' · over 30 days: ' + naira(ages.older);
+    }
+
+    function openDebtsModal() {
+        renderDebts();
+        document.getElementById('debtsModal').hidden = false;
+    }
+
+    function closeDebtsModal() {
+        document.getElementById('debtsModal').hidden = true;
+    }
+
+    // ── Returns & refunds ───────────────────────────────────
+    // A return is recorded on its sale, for some or all of the quantity of
+    // one or more lines. It is dated separately: revenue drops by the refund
+    // on the refund date, and profit by the refund less the cost of any items
+    // put back in stock. The sale itself is left as it was sold.
+
+    // Sale shown in the refund modal.
+    var refundSaleId = null;
+
+    function findSaleLine(sale, lineId) {
+        return sale.lines.find(function (line) { return line.id === lineId; }) || null;
+    }
+
+    /** Units of one line returned so far, leaving out the refund `exceptId` if given. */
+    function refundedQuantity(sale, lineId, exceptId) {
+        var qty = 0;
+        (sale.refunds || []).forEach(function (r) {
+            if (r.id === exceptId) return;
+            r.lines.forEach(function (rl) {
+                if (rl.lineId === lineId) qty += Number(rl.quantity) || 0;
+            });
+        });
+        return qty;
+    }
+
+    /** Units across a refund's lines. */
+    function refundQuantity(refund) {
+        var qty = 0;
+        refund.lines.forEach(function (rl) { qty += Number(rl.quantity) || 0; });
+        return qty;
+    }
+
+    /** What one unit of a line was actually sold for, after its share of the order discount. */
+    function lineUnitValue(line, sale) {
+        var qty = Number(line.quantity) || 0;
+        return qty > 0 ? (lineRevenue(line) - lineDiscount(line, sale)) / qty : 0;
+    }
+
+    /** Cost of the returned items that went back into stock; damaged returns keep their cost in cost of goods. */
+    function refundCost(sale, refund, estimates) {
+        if (!refund.restock) return 0;
+        var cost = 0;
+        refund.lines.forEach(function (rl) {
+            var line = findSaleLine(sale, rl.lineId);
+            var lc = line ? lineCost(line, estimates) : null;
+            if (lc && lc.basis !== 'none') cost += (Number(rl.quantity) || 0) * lc.unitCost;
+        });
+        return cost;
+    }
+
+    /** How much a refund takes off profit. */
+    function refundProfit(sale, refund, estimates) {
+        return (Number(refund.amount) || 0) - refundCost(sale, refund, estimates);
+    }
+
+    /** A refund's amount split across its lines by their value; the last line takes any rounding remainder. */
+    function refundLineAmounts(sale, refund) {
+        var values = refund.lines.map(function (rl) {
+            var line = findSaleLine(sale, rl.lineId);
+            return line ? (Number(rl.quantity) || 0) * lineUnitValue(line, sale) : 0;
+        });
+        var total = values.reduce(function (sum, v) { return sum + v; }, 0);
+        var remaining = Number(refund.amount) || 0;
+        return values.map(function (v, i) {
+            if (i === values.length - 1) return remaining;
+            var share = Math.round((total > 0 ? refund.amount * v / total : refund.amount / values.length) * 100) / 100;
+            remaining = Math.round((remaining - share) * 100) / 100;
+            return share;
+        });
+    }
+
+    function refundTitle(sale, refund) {
+        return refund.lines.map(function (rl) {
+            var line = findSaleLine(sale, rl.lineId);
+            return rl.quantity + ' × ' + (line ? lineItemName(line) : 'removed item');
+        }).join(', ');
+    }
+
+    function refundMethodLabel(method) {
+        return method === 'balance' ? 'Off balance' : ucfirst(method);
+    }
+
+    /**
+     * Check raw refund values against the sale and return a map of field → error message.
+     * Shared by the refund form and backup restore.
+     */
+    function refundErrors(raw, sale) {
+        var errors = {};
+        if (!raw.date || !/^\d{4}-\d{2}-\d{2}$/.test(raw.date)) errors.date = 'Date is required';
+        else if (raw.date < sale.date) errors.date = 'Cannot be before the sale (' + sale.date + ')';
+        if (!REFUND_METHODS.includes(raw.method)) errors.method = 'Select how it was refunded';
+        if (raw.amount === '' || !(Number(raw.amount) > 0)) errors.amount = 'Amount must be more than 0';
+        if (!String(raw.reason || '').trim()) errors.reason = 'Give a reason';
+        if (!Array.isArray(raw.lines) || raw.lines.length === 0) {
+            errors.lines = 'Enter how many of an item came back';
+        } else {
+            raw.lines.forEach(function (rl) {
+                var line = rl && findSaleLine(sale, rl.lineId);
+                if (!line) {
+                    errors.lines = 'Returned item is not on this sale';
+                    return;
+                }
+                var left = (Number(line.quantity) || 0) - refundedQuantity(sale, line.id, raw.id);
+                if (!(Number(rl.quantity) >= 1) || !Number.isInteger(Number(rl.quantity))) errors.lines = 'Quantities must be whole numbers';
+                else if (Number(rl.quantity) > left) errors.lines = 'Only ' + left + ' ' + lineItemName(line) + ' left to return';
+            });
+        }
+        return errors;
+    }
+
+    /** Validate the refund form against what was sold and paid, and return { valid, data }. */
+    function validateRefundForm(sale) {
+        var raw = {
+            date: document.getElementById('refundDate').value,
+            method: document.getElementById('refundMethod').value,
+            amount: document.getElementById('refundAmount').value,
+            reason: document.getElementById('refundReason').value.trim(),
+            lines: []
+        };
+        document.querySelectorAll('#refundLinesBody .refund-qty').forEach(function (input) {
+            if (input.value !== '' && Number(input.value) !== 0) raw.lines.push({ lineId: input.getAttribute('data-refund-line'), quantity: Number(input.value) });
+        });
+        var errors = refundErrors(raw, sale);
+
+        // The refund can't be worth more than the items, or than what was paid (or is owed)
+        if (!errors.amount && !errors.lines) {
+            var amount = Number(raw.amount);
+            var worth = refundWorth(sale, raw.lines);
+            var paidBack = orderRefunded(sale) - orderRefunded(sale, 'balance');
+            if (amount > worth + 0.005) errors.amount = 'The returned items sold for ' + naira(worth);
+            else if (raw.method === 'balance' && amount > orderBalance(sale)) errors.amount = orderBalance(sale) ? 'Only ' + naira(orderBalance(sale)) + ' is owed' : 'Nothing is owed on this sale';
+            else if (raw.method !== 'balance' && amount > orderPaid(sale) - paidBack + 0.005) errors.amount = 'Only ' + naira(orderPaid(sale) - paidBack) + ' has been paid';
+        }
+
+        ['date', 'method', 'amount', 'reason', 'lines'].forEach(function (key) {
+            document.getElementById('refund' + ucfirst(key) + 'Error').textContent = errors[key] || '';
+        });
+
+        if (Object.keys(errors).length > 0) return { valid: false, data: null };
+        return {
+            valid: true,
+            data: {
+                id: uid(),
+                date: raw.date,
+                lines: raw.lines,
+                amount: Number(raw.amount),
+                method: raw.method,
+                reason: raw.reason,
+                restock: document.getElementById('refundRestock').checked,
+                createdAt: new Date().toISOString(),
+                createdBy: operator
+            }
+        };
+    }
+
+    /** What the returned quantities were sold for. */
+    function refundWorth(sale, lines) {
+        var worth = 0;
+        lines.forEach(function (rl) {
+            var line = findSaleLine(sale, rl.lineId);
+            if (line) worth += (Number(rl.quantity) || 0) * lineUnitValue(line, sale);
+        });
+        return Math.round(worth * 100) / 100;
+    }
+
+    function addRefund(refund) {
+        var sale = findSale(refundSaleId);
+        if (!sale) return;
+        changeSale(sale.id, { refunds: (sale.refunds || []).concat(refund) }, 'Record return');
+        showToast('Return of ' + naira(refund.amount) + ' recorded.', 'Undo', undo);
+        renderRefunds();
+    }
+
+    function deleteRefund(refundId) {
+        var sale = findSale(refundSaleId);
+        if (!sale) return;
+        changeSale(sale.id, { refunds: sale.refunds.filter(function (r) { return r.id !== refundId; }) }, 'Delete return');
+        renderRefunds();
+    }
+
+    /** Keep the refund amount in step with the quantities being returned. */
+    function updateRefundAmount() {
+        var sale = findSale(refundSaleId);
+        if (!sale) return;
+        var lines = [];
+        document.querySelectorAll('#refundLinesBody .refund-qty').forEach(function (input) {
+            var qty = Number(input.value) || 0;
+            var line = findSaleLine(sale, input.getAttribute('data-refund-line'));
+            input.closest('tr').querySelector('.refund-value').textContent = qty > 0 && line ? naira(qty * lineUnitValue(line, sale)) : '—';
+            if (qty > 0) lines.push({ lineId: input.getAttribute('data-refund-line'), quantity: qty });
+        });
+        document.getElementById('refundAmount').value = lines.length ? refundWorth(sale, lines) : '';
+    }
+
+    function renderRefunds() {
+        var sale = findSale(refundSaleId);
+        if (!sale) {
+            closeRefundModal();
+            return;
+        }
+        document.getElementById('refundSummary').innerHTML =
+            escapeHTML(sale.date + ' · ' + orderTitle(sale)) + '<br>' +
+            'Total ' + naira(orderRevenue(sale)) + ' · Paid ' + naira(orderPaid(sale)) + ' · Refunded ' + naira(orderRefunded(sale));
+
+        var list = (sale.refunds || []).slice().sort(function (a, b) { return a.date < b.date ? -1 : a.date > b.date ? 1 : 0; });
+        document.getElementById('refundsEmpty').hidden = list.length > 0;
+        document.getElementById('refundsTableBody').innerHTML = list.map(function (r) {
+            return '<tr>' +
+                '<td>' + r.date + '</td>' +
+                '<td>' + escapeHTML(refundTitle(sale, r)) + (r.restock ? '' : ' (not restocked)') + '</td>' +
+                '<td>' + refundMethodLabel(r.method) + '</td>' +
+                '<td>' + naira(r.amount) + '</td>' +
+                '<td>' + escapeHTML(r.reason || '—') + '</td>' +
+                '<td class="actions-cell">' +
+                '<button class="btn btn-sm btn-danger-outline" data-refund-delete="' + r.id + '">Del</button>' +
+                '</td>' +
+                '</tr>';
+        }).join('');
+
+        var returnable = sale.lines.filter(function (line) { return refundedQuantity(sale, line.id) < Number(line.quantity); });
+        var form = document.getElementById('refundForm');
+        form.hidden = returnable.length === 0;
+        form.reset();
+        form.querySelectorAll('.error-msg').forEach(function (el) { el.textContent = ''; });
+        document.getElementById('refundLinesBody').innerHTML = returnable.map(function (line) {
+            var left = Number(line.quantity) - refundedQuantity(sale, line.id);
+            return '<tr>' +
+                '<td>' + escapeHTML(lineItemName(line)) + '</td>' +
+                '<td>' + line.quantity + '</td>' +
+                '<td>' + naira(lineUnitValue(line, sale)) + '</td>' +
+                '<td><input type="number" class="refund-qty" data-refund-line="' + line.id + '" min="0" max="' + left + '" step="1" placeholder="0 of ' + left + '" aria-label="Quantity returned"></td>' +
+                '<td class="refund-value">—</td>' +
+                '</tr>';
+        }).join('');
+        if (returnable.length === 1 && returnable[0].quantity - refundedQuantity(sale, returnable[0].id) === 1) {
+            document.querySelector('#refundLinesBody .refund-qty').value = 1;
+        }
+        document.getElementById('refundDate').value = todayISO();
+        document.getElementById('refundMethod').value = paymentStatus(sale) === 'unpaid' ? 'balance' : sale.paymentMethod;
+        document.getElementById('refundRestock').checked = true;
+        updateRefundAmount();
+    }
+
+    function openRefundModal(id) {
+        if (!findSale(id)) return;
+        refundSaleId = id;
+        renderRefunds();
+        document.getElementById('refundModal').hidden = false;
+    }
+
+    function closeRefundModal() {
+        document.getElementById('refundModal').hidden = true;
+        refundSaleId = null;
+    }
+
+    // ── Receipts ────────────────────────────────────────────
+
+    // Sale shown in the receipt modal.
+    var receiptSaleId = null;
+
+    /**
+     * Receipt number for a sale, issuing the next one the first time it is asked for.
+     * The counter never goes below the highest number already on a sale, so
+     * restoring a backup can't hand out a number twice.
+     */
+    function receiptNumber(sale) {
+        if (sale.receiptNo) return sale.receiptNo;
+        var last = Number(SalesStore.getSetting('receiptCounter')) || 0;
+        sales.forEach(function (s) { if (s.receiptNo > last) last = s.receiptNo; });
+        sale.receiptNo = last + 1;
+        SalesStore.setSetting('receiptCounter', sale.receiptNo);
+        saveSale(sale);
+        return sale.receiptNo;
+    }
+
+    function formatReceiptNo(n) {
+        return 'R-' + String(n).padStart(4, '0');
+    }
+
+    function receiptHTML(sale) {
+        var customer = findCustomer(sale.customerId);
+        var subtotal = orderRevenue(sale) + (Number(sale.discount) || 0);
+        return '<div class="receipt-header">' +
+            '<h3 class="receipt-business">' + escapeHTML(businessName()) + '</h3>' +
+            '<p>Receipt <strong>' + formatReceiptNo(sale.receiptNo) + '</strong></p>' +
+            '<p>Date: ' + sale.date + '</p>' +
+            (customer ? '<p>Customer: ' + escapeHTML(customer.name) + '</p>' : '') +
+            '</div>' +
+            '<table class="receipt-table">' +
+            '<thead><tr><th>Item</th><th class="text-right">Qty</th><th class="text-right">Unit Price</th><th class="text-right">Amount</th></tr></thead>' +
+            '<tbody>' + sale.lines.map(function (line) {
+                return '<tr>' +
+                    '<td>' + escapeHTML(lineItemName(line)) + '</td>' +
+                    '<td class="text-right">' + line.quantity + '</td>' +
+                    '<td class="text-right">' + naira(line.unitPrice) + '</td>' +
+                    '<td class="text-right">' + naira(lineRevenue(line)) + '</td>' +
+                    '</tr>';
+            }).join('') + '</tbody>' +
+            '<tfoot>' +
+            (sale.discount ? '<tr><td colspan="3">Subtotal</td><td class="text-right">' + naira(subtotal) + '</td></tr>' +
+                '<tr><td colspan="3">Discount</td><td class="text-right">−' + naira(sale.discount) + '</td></tr>' : '') +
+            '<tr class="receipt-total"><td colspan="3">Total</td><td class="text-right">' + naira(orderRevenue(sale)) + '</td></tr>' +
+            '</tfoot>' +
+            '</table>' +
+            (paymentStatus(sale) === 'paid'
+                ? '<p>Paid by: ' + ucfirst(sale.paymentMethod) + '</p>'
+                : '<p>Paid so far: ' + naira(orderPaid(sale)) + '</p><p><strong>Balance due: ' + naira(orderBalance(sale)) + '</strong></p>') +
+            (orderRefunded(sale) ? '<p>Returned items refunded: ' + naira(orderRefunded(sale)) + '</p>' : '') +
+            '<p class="receipt-thanks">Thank you for your patronage!</p>';
+    }
+
+    /** Plain-text receipt for pasting into WhatsApp (asterisks render as bold there). */
+    function receiptText(sale) {
+        var customer = findCustomer(sale.customerId);
+        var subtotal = orderRevenue(sale) + (Number(sale.discount) || 0);
+        var lines = [
+            '*' + businessName() + '*',
+            'Receipt ' + formatReceiptNo(sale.receiptNo),
+            'Date: ' + sale.date
+        ];
+        if (customer) lines.push('Customer: ' + customer.name);
+        lines.push('');
+        sale.lines.forEach(function (line) {
+            lines.push(line.quantity + ' × ' + lineItemName(line) + ' @ ' + naira(line.unitPrice) + ' = ' + naira(lineRevenue(line)));
+        });
+        lines.push('');
+        if (sale.discount) {
+            lines.push('Subtotal: ' + naira(subtotal));
+            lines.push('Discount: −' + naira(sale.discount));
+        }
+        lines.push('*Total: ' + naira(orderRevenue(sale)) + '*');
+        if (paymentStatus(sale) === 'paid') {
+            lines.push('Paid by: ' + ucfirst(sale.paymentMethod));
+        } else {
+            lines.push('Paid so far: ' + naira(orderPaid(sale)));
+            lines.push('*Balance due: ' + naira(orderBalance(sale)) + '*');
+        }
+        if (orderRefunded(sale)) lines.push('Returned items refunded: ' + naira(orderRefunded(sale)));
+        lines.push('');
+        lines.push('Thank you for your patronage!');
+        return lines.join('\n');
+    }
+
+    function openReceiptModal(id) {
+        var sale = findSale(id);
+        if (!sale) return;
+        receiptNumber(sale);
+        receiptSaleId = id;
+        document.getElementById('receiptContent').innerHTML = receiptHTML(sale);
+        document.getElementById('receiptText').value = receiptText(sale);
+        document.getElementById('receiptModal').hidden = false;
+    }
+
+    function closeReceiptModal() {
+        document.getElementById('receiptModal').hidden = true;
+        receiptSaleId = null;
+    }
+
+    /** Print only the receipt; the class stays until printing ends, as print() doesn't block on every browser. */
+    function printReceipt() {
+        document.body.classList.add('printing-receipt');
+        window.addEventListener('afterprint', function () {
+            document.body.classList.remove('printing-receipt');
+        }, { once: true });
+        window.print();
+    }
+
+    function copyReceiptText() {
+        var textEl = document.getElementById('receiptText');
+        var done = function () { alert('Receipt copied. Paste it into WhatsApp.'); };
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(textEl.value).then(done, function () {
+                textEl.select();
+                alert('Could not copy automatically. The text is selected — copy it with Ctrl+C / long-press.');
+            });
+            return;
+        }
+        textEl.select();
+        if (document.execCommand && document.execCommand('copy')) done();
+        else alert('Could not copy automatically. The text is selected — copy it with Ctrl+C / long-press.');
+    }
+
+    function shareReceiptWhatsApp() {
+        var sale = findSale(receiptSaleId);
+        if (!sale) return;
+        window.open('https://wa.me/?text=' + encodeURIComponent(receiptText(sale)), '_blank');
+    }
+
+    // ── Sync ────────────────────────────────────────────────
+    // Optional two-way sync of sales with an HTTP endpoint (see sync-server/).
+    // Each sync sends sales and tombstones changed since the last push and
+    // receives what other devices changed; the endpoint settles conflicts by
+    // last writer wins and the losing versions are kept for review. Tombstones
+    // are dropped once the endpoint has the deletion.
+
+    var syncing = false;
+    var syncTimer = null;
+    var syncStatus = '';
+
+    function syncEndpoint() {
+        return SalesStore.getSetting('syncEndpoint') || '';
+    }
+
+    /** Sync soon after a local change, batching quick successive edits. */
+    function scheduleSync() {
+        if (!syncEndpoint()) return;
+        clearTimeout(syncTimer);
+        syncTimer = setTimeout(function () { syncNow(true); }, SYNC_DELAY_MS);
+    }
+
+    function syncConflicts() {
+        return SalesStore.getSetting('syncConflicts') || [];
+    }
+
+    function addSyncConflict(local, remote, kept) {
+        var record = local || remote;
+        var conflicts = syncConflicts().filter(function (c) { return c.id !== record.id; });
+        conflicts.push({ id: record.id, at: new Date().toISOString(), kept: kept, local: local, remote: remote });
+        SalesStore.setSetting('syncConflicts', conflicts);
+    }
+
+    /** Changes made on this device since the last successful push. */
+    function pendingChanges() {
+        var pushedAt = SalesStore.getSetting('syncPushedAt') || '';
+        var changes = [];
+        sales.forEach(function (sale) {
+            var modified = sale.modifiedAt || sale.createdAt || '';
+            if (pushedAt && modified <= pushedAt) return;
+            var record = Object.assign({}, sale);
+            delete record.syncRev;
+            changes.push({ id: sale.id, modifiedAt: modified, baseRev: sale.syncRev || 0, record: record });
+        });
+        tombstones.forEach(function (t) {
+            if (pushedAt && t.deletedAt <= pushedAt) return;
+            changes.push({ id: t.id, modifiedAt: t.deletedAt, baseRev: t.syncRev || 0, deleted: true });
+        });
+        return changes;
+    }
+
+    /**
+     * The endpoint holds this deletion, so its marker is no longer needed. Binned
+     * copies take the revision, so restoring one later is sent as a plain change.
+     */
+    function acknowledgeDeletion(id, rev) {
+        var binned = false;
+        recycleBin.forEach(function (entry) {
+            if (entry.sale.id !== id) return;
+            entry.sale.syncRev = rev;
+            binned = true;
+        });
+        if (binned) saveRecycleBin();
+        dropTombstone(id);
+    }
+
+    /** Put the endpoint's version of a sale (or its deletion) into this journal without re-sending it. */
+    function applyRemote(entry) {
+        var idx = sales.findIndex(function (s) { return s.id === entry.id; });
+        if (entry.deleted) {
+            if (idx !== -1) {
+                moveToRecycleBin([sales[idx]], 'deleted');
+                sales.splice(idx, 1);
+                SalesStore.remove('sales', entry.id);
+            }
+            acknowledgeDeletion(entry.id, entry.rev);
+            return;
+        }
+        var sale = Object.assign({}, entry.record, { syncRev: entry.rev });
+        if (idx !== -1) sales[idx] = sale;
+        else sales.push(sale);
+        dropTombstone(sale.id);
+        SalesStore.put('sales', sale);
+    }
+
+    function findLocal(id) {
+        return findSale(id) || null;
+    }
+
+    /** A stored sale or deletion as the endpoint sends it: { id, rev, deleted } or { id, rev, record }. */
+    function validSyncEntry(entry) {
+        return !!entry && typeof entry.id === 'string' && typeof entry.rev === 'number' &&
+            (entry.deleted === true || (!!entry.record && typeof entry.record === 'object' && entry.record.id === entry.id));
+    }
+
+    /** Problem with the endpoint's reply ('' if none), checked before any of it is applied. */
+    function syncReplyError(reply, sent) {
+        if (!reply || typeof reply !== 'object' || typeof reply.rev !== 'number') return 'no revision number';
+        if (!Array.isArray(reply.results) || !Array.isArray(reply.changes)) return 'results or changes are missing';
+        var badResult = reply.results.some(function (result) {
+            return !result || !sent[result.id] || typeof result.rev !== 'number' ||
+                (result.conflict && !validSyncEntry(result.conflict)) ||
+                (result.status === 'rejected' && !result.conflict);
+        });
+        if (badResult) return 'a result doesn’t match a change that was sent';
+        if (!reply.changes.every(validSyncEntry)) return 'a change has no id, revision or sale';
+        return '';
+    }
+
+    /**
+     * Push local changes and pull everyone else's.
+     * @param {boolean} quiet – background syncs report problems in the status line only
+     */
+    function syncNow(quiet) {
+        var endpoint = syncEndpoint();
+        if (!endpoint) {
+            if (!quiet) alert('Enter a sync endpoint first.');
+            return Promise.resolve();
+        }
+        if (syncing) return Promise.resolve();
+        if (!navigator.onLine) {
+            setSyncStatus('Offline — will sync when the connection is back.');
+            return Promise.resolve();
+        }
+
+        syncing = true;
+        clearTimeout(syncTimer);
+        setSyncStatus('Syncing…');
+        var startedAt = new Date().toISOString();
+        var changes = pendingChanges();
+        var headers = { 'Content-Type': 'application/json' };
+        if (SalesStore.getSetting('syncKey')) headers.Authorization = 'Bearer ' + SalesStore.getSetting('syncKey');
+
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({ since: SalesStore.getSetting('syncCursor') || 0, changes: changes })
+        }).then(function (res) {
+            return res.json().catch(function () { return {}; }).then(function (body) {
+                if (!res.ok) throw new Error(body.error || 'The endpoint answered ' + res.status + '.');
+                return body;
+            });
+        }).then(function (reply) {
+            var sent = {};
+            changes.forEach(function (c) { sent[c.id] = c; });
+            var problem = syncReplyError(reply, sent);
+            if (problem) throw new Error('The endpoint’s reply could not be understood (' + problem + '). Nothing was changed on this device.');
+
+            reply.results.forEach(function (result) {
+                var change = sent[result.id];
+                var local = findLocal(result.id);
+                if (result.status === 'rejected') {
+                    // Another device changed it later: theirs wins, ours goes to review
+                    addSyncConflict(change.deleted ? null : change.record, result.conflict.deleted ? null : result.conflict.record, 'remote');
+                    applyRemote(result.conflict);
+                    return;
+                }
+                if (result.conflict) {
+                    addSyncConflict(change.deleted ? null : change.record, result.conflict.deleted ? null : result.conflict.record, 'local');
+                }
+                if (change.deleted) {
+                    // Deleted again while this sync was in flight: keep that marker for the next push
+                    var tomb = tombstones.find(function (t) { return t.id === result.id; });
+                    if (tomb && tomb.deletedAt === change.modifiedAt) {
+                        acknowledgeDeletion(result.id, result.rev);
+                    } else if (tomb) {
+                        tomb.syncRev = result.rev;
+                        SalesStore.put('tombstones', tomb);
+                    }
+                } else if (local) {
+                    local.syncRev = result.rev;
+                    SalesStore.put('sales', local);
+                }
+            });
+
+            reply.changes.forEach(function (entry) {
+                // Edited here while this sync was in flight: keep it for the next push
+                var local = findLocal(entry.id);
+                if (local && (local.modifiedAt || '') > startedAt) return;
+                applyRemote(entry);
+            });
+
+            SalesStore.setSetting('syncCursor', reply.rev);
+            SalesStore.setSetting('syncPushedAt', startedAt);
+            SalesStore.setSetting('lastSyncedAt', new Date().toISOString());
+            invalidateDerived();
+            renderAll();
+            setSyncStatus('');
+            if (!document.getElementById('syncModal').hidden) renderSyncModal();
+        }).catch(function (err) {
+            setSyncStatus('Sync failed: ' + err.message);
+            if (!quiet) alert('Sync failed: ' + err.message);
+        }).then(function () {
+            syncing = false;
+        });
+    }
+
+    /** Header status: an in-progress or error message, else when the last sync finished. */
+    function setSyncStatus(message) {
+        syncStatus = message;
+        var btn = document.getElementById('syncBtn');
+        var last = SalesStore.getSetting('lastSyncedAt');
+        var conflicts = syncConflicts().length;
+        var label;
+        if (!syncEndpoint()) label = 'Sync off';
+        else if (message === 'Syncing…') label = 'Syncing…';
+        else if (message) label = '⚠ Sync failed';
+        else label = last ? 'Synced ' + timeAgo(last) : 'Not synced yet';
+        btn.textContent = '⟳ ' + label + (conflicts ? ' (' + conflicts + ')' : '');
+        btn.title = message || (last ? 'Last synced ' + formatDateTime(last) : 'Set up sync between devices');
+        var statusEl = document.getElementById('syncStatusText');
+        statusEl.textContent = message || (last ? 'Last synced ' + formatDateTime(last) + '.' : 'Not synced yet.');
+    }
+
+    /** Rough age of a timestamp: 'just now', '5 min ago', '3 h ago', '2 days ago'. */
+    function timeAgo(iso) {
+        var minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return minutes + ' min ago';
+        if (minutes < 48 * 60) return Math.floor(minutes / 60) + ' h ago';
+        return Math.floor(minutes / 1440) + ' days ago';
+    }
+
+    function renderSyncModal() {
+        var conflicts = syncConflicts().slice().reverse();
+        var describe = function (record) {
+            if (!record) return '<em>Deleted</em>';
+            return escapeHTML(record.date + ' · ' + orderTitle(record) + ' · ' + naira(orderRevenue(record)) + ' · ' + ucfirst(record.paymentMethod));
+        };
+        document.getElementById('syncConflictsBody').innerHTML = conflicts.map(function (c) {
+            var losing = c.kept === 'local' ? c.remote : c.local;
+            return '<tr>' +
+                '<td>' + formatDateTime(c.at) + '</td>' +
+                '<td>' + describe(c.kept === 'local' ? c.local : c.remote) + '</td>' +
+                '<td>' + describe(losing) + '</td>' +
+                '<td>' + (c.kept === 'local' ? 'This device' : 'Other device') + '</td>' +
+                '<td class="actions-cell">' +
+                '<button class="btn btn-sm btn-outline" data-conflict-use="' + c.id + '">Use other</button>' +
+                '<button class="btn btn-sm btn-outline" data-conflict-dismiss="' + c.id + '">Dismiss</button>' +
+                '</td>' +
+                '</tr>';
+        }).join('');
+        document.getElementById('syncConflictsEmpty').hidden = conflicts.length > 0;
+        setSyncStatus(syncStatus);
+    }
+
+    /** Replace the kept version with the one that lost the conflict; it syncs as a new change. */
+    function useConflictVersion(id) {
+        var conflict = syncConflicts().find(function (c) { return c.id === id; });
+        if (!conflict) return;
+        var losing = conflict.kept === 'local' ? conflict.remote : conflict.local;
+        if (!confirm(losing ? 'Replace the current version of this sale with the other one?' : 'Delete this sale, as the other device did?')) return;
+
+        recordChange('Resolve sync conflict', [id]);
+        var current = findSale(id);
+        if (losing) {
+            var sale = Object.assign({}, losing, { syncRev: current ? current.syncRev : undefined });
+            var idx = sales.findIndex(function (s) { return s.id === id; });
+            if (idx !== -1) sales[idx] = sale;
+            else sales.push(sale);
+            saveSale(sale);
+        } else if (current) {
+            moveToRecycleBin([current], 'deleted');
+            sales = sales.filter(function (s) { return s.id !== id; });
+            removeSale(current);
+        }
+        dismissConflict(id);
+        renderAll();
+    }
+
+    function dismissConflict(id) {
+        SalesStore.setSetting('syncConflicts', syncConflicts().filter(function (c) { return c.id !== id; }));
+        renderSyncModal();
+    }
+
+    function saveSyncSettings() {
+        var endpoint = document.getElementById('syncEndpointInput').value.trim();
+        if (endpoint && !/^https?:\/\/.+/i.test(endpoint)) {
+            document.getElementById('syncEndpointError').textContent = 'Enter a full http:// or https:// address';
+            return false;
+        }
+        document.getElementById('syncEndpointError').textContent = '';
+        if (endpoint !== syncEndpoint()) {
+            // A different endpoint has its own history: start from scratch
+            SalesStore.setSetting('syncCursor', 0);
+            SalesStore.setSetting('syncPushedAt', '');
+            SalesStore.setSetting('lastSyncedAt', '');
+        }
+        SalesStore.setSetting('syncEndpoint', endpoint);
+        SalesStore.setSetting('syncKey', document.getElementById('syncKeyInput').value.trim());
+        setSyncStatus('');
+        return true;
+    }
+
+    function openSyncModal() {
+        document.getElementById('syncEndpointInput').value = syncEndpoint();
+        document.getElementById('syncKeyInput').value = SalesStore.getSetting('syncKey') || '';
+        document.getElementById('syncEndpointError').textContent = '';
+        renderSyncModal();
+        document.getElementById('syncModal').hidden = false;
+    }
+
+    function closeSyncModal() {
+        document.getElementById('syncModal').hidden = true;
+    }
+
+    function startSync() {
+        setSyncStatus('');
+        setInterval(function () { syncNow(true); }, SYNC_INTERVAL_MS);
+        window.addEventListener('online', function () { syncNow(true); });
+        syncNow(true);
+    }
+
+    // ── Export CSV ──────────────────────────────────────────
+
+    function exportCSV() {
+        var filtered = applyFilters(sales);
+        var refundList = applyRefundFilters(sales);
+        if (filtered.length === 0 && refundList.length === 0) {
+            alert('No sales to export with current filters.');
+            return;
+        }
+        writeSalesCSV(filtered, refundList, filePrefix() + '-sales-' + todayISO() + '.csv');
+    }
+
+    /** Download sales, then refunds ([{ sale, refund }]), as a CSV file. */
+    function writeSalesCSV(list, refundList, filename) {
+        // One row per line item. The order discount is split across its lines
+        // (the last line takes any rounding remainder) and OrderId groups them.
+        // AmountPaid is for the whole order, repeated on each of its lines.
+        // Refunds follow as Type 'refund' rows: one per returned line, dated
+        // on the refund, with negative quantity, revenue and profit.
+        var headers = ['Date', 'CustomerType', 'ItemName', 'Quantity', 'UnitPrice', 'CostPerUnit', 'Discount', 'PaymentMethod', 'Notes', 'LineRevenue', 'LineProfit', 'CostBasis', 'OrderId', 'AmountPaid', 'Type'];
+        var rows = [headers.join(',')];
+
+        list.forEach(function (s) {
+            var remaining = Number(s.discount) || 0;
+            s.lines.forEach(function (line, i) {
+                var disc = i === s.lines.length - 1 ? remaining : Math.round(lineDiscount(line, s) * 100) / 100;
+                remaining = Math.round((remaining - disc) * 100) / 100;
+                var row = [
+                    s.date,
+                    saleCustomerType(s),
+                    '"' + lineItemName(line).replace(/"/g, '""') + '"',
+                    line.quantity,
+                    line.unitPrice,
+                    hasExplicitCost(line) ? line.costPerUnit : '',
+                    disc,
+                    s.paymentMethod,
+                    '"' + (s.notes || '').replace(/"/g, '""') + '"',
+                    lineRevenue(line) - disc,
+                    lineProfit(line) - disc,
+                    lineCost(line).basis,
+                    s.id,
+                    orderPaid(s),
+                    'sale'
+                ];
+                rows.push(row.join(','));
+            });
+        });
+
+        refundList.forEach(function (r) {
+            var amounts = refundLineAmounts(r.sale, r.refund);
+            r.refund.lines.forEach(function (rl, i) {
+                var line = findSaleLine(r.sale, rl.lineId);
+                if (!line) return;
+                var cost = lineCost(line);
+                var restocked = r.refund.restock && cost.basis !== 'none' ? rl.quantity * cost.unitCost : 0;
+                var row = [
+                    r.refund.date,
+                    saleCustomerType(r.sale),
+                    '"' + lineItemName(line).replace(/"/g, '""') + '"',
+                    -rl.quantity,
+                    line.unitPrice,
+                    hasExplicitCost(line) ? line.costPerUnit : '',
+                    0,
+                    r.refund.method,
+                    '"' + (r.refund.reason || '').replace(/"/g, '""') + '"',
+                    -amounts[i],
+                    -(amounts[i] - restocked),
+                    cost.basis,
+                    r.sale.id,
+                    '',
+                    'refund'
+                ];
+                rows.push(row.join(','));
+            });
+        });
+
+        downloadFile(rows.join('\n'), filename, 'text/csv;charset=utf-8;');
+    }
+
+    // ── Import CSV ──────────────────────────────────────────
+
+    // Rows parsed from the last chosen file, waiting for the user to confirm,
+    // and how many refund rows it had (refunds are not imported).
+    var pendingImport = [];
+    var skippedRefundRows = 0;
+
+    /**
+     * Parse CSV text into an array of rows (arrays of strings).
+     * Handles quoted fields with embedded commas, newlines and doubled quotes.
+     */
+    function parseCSV(text) {
+        var rows = [];
+        var row = [];
+        var field = '';
+        var inQuotes = false;
+        text = text.replace(/^\uFEFF/, '');
+
+        for (var i = 0; i < text.length; i++) {
+            var ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (ch === '"') inQuotes = false;
+                else field += ch;
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines (e.g. a trailing newline)
+        return rows.filter(function (r) { return r.length > 1 || r[0].trim() !== ''; });
+    }
+
+    /** Key used to spot the same order twice: date plus each line's item, quantity and price. */
+    function duplicateKey(order) {
+        var lines = order.lines.map(function (line) {
+            return [lineItemName(line).trim().toLowerCase(), Number(line.quantity), Number(line.unitPrice)].join('|');
+        }).sort();
+        return order.date + '#' + lines.join(';');
+    }
+
+    /**
+     * Turn parsed CSV rows into preview entries { line, orderKey, row, errors, duplicate }.
+     * Rows sharing an OrderId become one order; files without that column
+     * (older exports) give one order per row.
+     * Returns null (after alerting) if the header doesn't match exportCSV().
+     */
+    function buildImportPreview(rows) {
+        if (rows.length < 2) {
+            alert('This file has no sales rows to import.');
+            return null;
+        }
+
+        var header = rows[0].map(function (h) { return h.trim(); });
+        var missing = CSV_COLUMNS.filter(function (col) { return header.indexOf(col) === -1; });
+        if (missing.length > 0) {
+            alert('This file is not a sales export.\n\nMissing columns: ' + missing.join(', '));
+            return null;
+        }
+
+        var col = {};
+        CSV_COLUMNS.concat(['OrderId', 'AmountPaid', 'Type']).forEach(function (name) { col[name] = header.indexOf(name); });
+
+        skippedRefundRows = 0;
+        var entries = rows.slice(1).map(function (cells, i) {
+            var get = function (name) { return col[name] === -1 ? '' : (cells[col[name]] || '').trim(); };
+            if (get('Type').toLowerCase() === 'refund') {
+                skippedRefundRows++;
+                return null;
+            }
+            var row = {
+                date: get('Date'),
+                customerType: get('CustomerType').toLowerCase(),
+                itemName: get('ItemName'),
+                quantity: get('Quantity'),
+                unitPrice: get('UnitPrice'),
+                costPerUnit: get('CostPerUnit'),
+                discount: get('Discount'),
+                paymentMethod: get('PaymentMethod').toLowerCase(),
+                notes: get('Notes'),
+                amountPaid: get('AmountPaid')
+            };
+            var errors = Object.assign(orderErrors(row), lineErrors(row));
+            if (row.costPerUnit !== '' && !(Number(row.costPerUnit) >= 0)) errors.costPerUnit = 'Cost per unit must be a number';
+            if (row.discount !== '' && !(Number(row.discount) >= 0)) errors.discount = 'Discount must be a number';
+            if (row.amountPaid !== '' && !(Number(row.amountPaid) >= 0)) errors.amountPaid = 'Amount paid must be a number';
+
+            return { line: i + 2, orderKey: get('OrderId') || 'row-' + i, row: row, errors: errors, duplicate: false };
+        }).filter(Boolean);
+
+        // An order with any invalid line is not imported at all
+        var seen = {};
+        sales.forEach(function (s) { seen[duplicateKey(s)] = true; });
+        groupImportEntries(entries).forEach(function (group) {
+            var broken = group.some(function (entry) { return Object.keys(entry.errors).length > 0; });
+            if (broken) {
+                group.forEach(function (entry) {
+                    if (Object.keys(entry.errors).length === 0) entry.errors.order = 'Another line of this order has errors';
+                });
+                return;
+            }
+            var key = duplicateKey(importedOrder(group));
+            group.forEach(function (entry) { entry.duplicate = !!seen[key]; });
+            seen[key] = true;
+        });
+
+        return entries;
+    }
+
+    /** Group preview entries by order, keeping file order. */
+    function groupImportEntries(entries) {
+        var groups = {};
+        var order = [];
+        entries.forEach(function (entry) {
+            if (!groups[entry.orderKey]) {
+                groups[entry.orderKey] = [];
+                order.push(entry.orderKey);
+            }
+            groups[entry.orderKey].push(entry);
+        });
+        return order.map(function (key) { return groups[key]; });
+    }
+
+    /**
+     * Build an order from a group of valid preview entries. Order fields come from the first row.
+     * Without an AmountPaid column (older exports) the order counts as paid in full.
+     */
+    function importedOrder(group) {
+        var first = group[0].row;
+        var discount = 0;
+        group.forEach(function (entry) { discount += Number(entry.row.discount) || 0; });
+        var order = {
+            date: first.date,
+            customerType: first.customerType,
+            customerId: '',
+            paymentMethod: first.paymentMethod,
+            discount: Math.round(discount * 100) / 100,
+            notes: first.notes,
+            lines: group.map(function (entry) {
+                return {
+                    id: uid(),
+                    productId: '',
+                    itemName: entry.row.itemName,
+                    quantity: Number(entry.row.quantity),
+                    unitPrice: Number(entry.row.unitPrice),
+                    costPerUnit: entry.row.costPerUnit !== '' ? Number(entry.row.costPerUnit) : ''
+                };
+            })
+        };
+        var total = orderRevenue(order);
+        var paid = first.amountPaid === '' ? total : Math.min(Number(first.amountPaid), total);
+        order.payments = paid > 0 ? [{ id: uid(), date: order.date, method: order.paymentMethod, amount: paid }] : [];
+        order.refunds = [];
+        return order;
+    }
+
+    /** Orders that will be added with the current "skip duplicates" choice. */
+    function importOrdersToAdd() {
+        var skipDuplicates = document.getElementById('importSkipDuplicates').checked;
+        return groupImportEntries(pendingImport).filter(function (group) {
+            if (group.some(function (entry) { return Object.keys(entry.errors).length > 0; })) return false;
+            return !(skipDuplicates && group[0].duplicate);
+        }).map(importedOrder);
+    }
+
+    function renderImportPreview() {
+        var invalid = 0, duplicates = 0;
+        var html = '';
+        pendingImport.forEach(function (entry) {
+            var messages = Object.keys(entry.errors).map(function (k) { return entry.errors[k]; });
+            var status, rowClass;
+            if (messages.length > 0) { status = 'Error'; rowClass = 'import-row--error'; invalid++; }
+            else if (entry.duplicate) { status = 'Duplicate?'; rowClass = 'import-row--duplicate'; duplicates++; }
+            else { status = 'OK'; rowClass = ''; }
+
+            html += '<tr class="' + rowClass + '">' +
+                '<td>' + entry.line + '</td>' +
+                '<td>' + status + '</td>' +
+                '<td>' + escapeHTML(entry.row.date) + '</td>' +
+                '<td>' + escapeHTML(entry.row.itemName) + '</td>' +
+                '<td>' + escapeHTML(entry.row.customerType) + '</td>' +
+                '<td>' + escapeHTML(entry.row.quantity) + '</td>' +
+                '<td>' + (Number(entry.row.unitPrice) >= 0 && entry.row.unitPrice !== '' ? naira(entry.row.unitPrice) : escapeHTML(entry.row.unitPrice)) + '</td>' +
+                '<td>' + escapeHTML(entry.row.paymentMethod) + '</td>' +
+                '<td>' + escapeHTML(messages.join('; ')) + '</td>' +
+                '</tr>';
+        });
+        document.getElementById('importPreviewBody').innerHTML = html;
+
+        document.getElementById('importSummary').textContent =
+            pendingImport.length + ' rows · ' + invalid + ' with errors · ' + duplicates + ' likely duplicates' +
+            (skippedRefundRows ? ' · ' + skippedRefundRows + ' refund rows skipped' : '');
+
+        var count = importOrdersToAdd().length;
+        var confirmBtn = document.getElementById('importConfirmBtn');
+        confirmBtn.textContent = 'Import ' + count + (count === 1 ? ' sale' : ' sales');
+        confirmBtn.disabled = count === 0;
+    }
+
+    function openImportModal(file) {
+        var reader = new FileReader();
+        reader.onload = function () {
+            var preview = buildImportPreview(parseCSV(String(reader.result)));
+            if (!preview) return;
+            pendingImport = preview;
+            document.getElementById('importSkipDuplicates').checked = true;
+            renderImportPreview();
+            document.getElementById('importModal').hidden = false;
+        };
+        reader.onerror = function () {
+            alert('Could not read that file.');
+        };
+        reader.readAsText(file);
+    }
+
+    function closeImportModal() {
+        document.getElementById('importModal').hidden = true;
+        pendingImport = [];
+    }
+
+    function importCSV() {
+        var toAdd = importOrdersToAdd();
+        if (toAdd.length === 0) return;
+        toAdd.forEach(function (order) { order.id = uid(); });
+        recordChange('Import CSV', toAdd.map(function (order) { return order.id; }));
+        toAdd.forEach(function (order) {
+            linkProducts(order);
+            stampCreated(order);
+            sales.push(order);
+        });
+        saveSales();
+        scheduleSync();
+        closeImportModal();
+        renderAll();
+        alert('Imported ' + toAdd.length + (toAdd.length === 1 ? ' sale.' : ' sales.'));
+    }
+
+    // ── JSON backup & restore ───────────────────────────────
+
+    // Validated backup waiting for the user to pick merge or replace.
+    var pendingRestore = null;
+
+    /** Trigger a browser download of `content` as `filename`. */
+    function downloadFile(content, filename, type) {
+        var blob = new Blob([content], { type: type });
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    function buildBackup() {
+        return {
+            app: BACKUP_APP_ID,
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            theme: SalesStore.getSetting('theme') || 'light',
+            sales: sales,
+            products: products,
+            restocks: restocks,
+            customers: customers,
+            expenses: expenses,
+            cashMovements: cashMovements,
+            reconciliations: reconciliations,
+            openingBalances: openingBalances,
+            targets: targets,
+            costMethod: costMethod
+        };
+    }
+
+    function exportBackup() {
+        downloadFile(JSON.stringify(buildBackup(), null, 2), filePrefix() + '-backup-' + todayISO() + '.json', 'application/json');
+    }
+
+    /**
+     * Bring an older backup up to SCHEMA_VERSION. Each step upgrades by one version.
+     */
+    function upgradeBackup(backup) {
+        // v1 → v2: product catalogue added; sales gained productId
+        if (backup.schemaVersion < 2) {
+            backup.products = [];
+            backup.sales.forEach(function (s) { s.productId = s.productId || ''; });
+            backup.schemaVersion = 2;
+        }
+        // v2 → v3: restock records added for inventory tracking
+        if (backup.schemaVersion < 3) {
+            backup.restocks = [];
+            backup.schemaVersion = 3;
+        }
+        // v3 → v4: customer directory added; sales gained customerId
+        if (backup.schemaVersion < 4) {
+            backup.customers = [];
+            backup.sales.forEach(function (s) { s.customerId = s.customerId || ''; });
+            backup.schemaVersion = 4;
+        }
+        // v4 → v5: sales became multi-line orders
+        if (backup.schemaVersion < 5) {
+            backup.sales = backup.sales.map(function (s) { return s && typeof s === 'object' ? toOrder(s) : s; });
+            backup.schemaVersion = 5;
+        }
+        // v5 → v6: sales gained createdAt, createdBy and a change history
+        if (backup.schemaVersion < 6) {
+            backup.sales.forEach(function (s) { if (s && typeof s === 'object') withAuditFields(s); });
+            backup.schemaVersion = 6;
+        }
+        // v6 → v7: expenses added
+        if (backup.schemaVersion < 7) {
+            backup.expenses = [];
+            backup.schemaVersion = 7;
+        }
+        // v7 → v8: cash book (opening balances, withdrawals/deposits, close-of-day counts)
+        if (backup.schemaVersion < 8) {
+            backup.cashMovements = [];
+            backup.reconciliations = [];
+            backup.openingBalances = null;
+            backup.schemaVersion = 8;
+        }
+        // v8 → v9: sales gained a payments list
+        if (backup.schemaVersion < 9) {
+            backup.sales.forEach(function (s) { if (s && typeof s === 'object' && Array.isArray(s.lines)) withPayments(s); });
+            backup.schemaVersion = 9;
+        }
+        // v9 → v10: sales gained a refunds list
+        if (backup.schemaVersion < 10) {
+            backup.sales.forEach(function (s) { if (s && typeof s === 'object') withRefunds(s); });
+            backup.schemaVersion = 10;
+        }
+        return backup;
+    }
+
+    /**
+     * Parse and validate backup file text.
+     * Returns { backup } on success or { error } with a message for the user.
+     */
+    function parseBackup(text) {
+        var backup;
+        try { backup = JSON.parse(text); } catch {
+            return { error: 'This file is not valid JSON.' };
+        }
+        if (!backup || typeof backup !== 'object' || backup.app !== BACKUP_APP_ID) {
+            return { error: 'This file is not a Sales Journal backup.' };
+        }
+        if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+            return { error: 'This backup has no valid schema version.' };
+        }
+        if (backup.schemaVersion > SCHEMA_VERSION) {
+            return { error: 'This backup was made by a newer version of the app (schema ' + backup.schemaVersion + '). Update the app before restoring it.' };
+        }
+        if (!Array.isArray(backup.sales)) {
+            return { error: 'This backup has no sales list.' };
+        }
+
+        backup = upgradeBackup(backup);
+
+        if (!Array.isArray(backup.products)) {
+            return { error: 'This backup has no product list.' };
+        }
+        for (var p = 0; p < backup.products.length; p++) {
+            var product = backup.products[p];
+            if (!product || typeof product.id !== 'string' || !product.id || !String(product.name || '').trim()) {
+                return { error: 'Product #' + (p + 1) + ' has no id or name.' };
+            }
+        }
+
+        if (!Array.isArray(backup.restocks)) {
+            return { error: 'This backup has no restock list.' };
+        }
+        for (var r = 0; r < backup.restocks.length; r++) {
+            var restock = backup.restocks[r];
+            if (!restock || typeof restock.id !== 'string' || !restock.productId || !(Number(restock.quantity) >= 1)) {
+                return { error: 'Restock #' + (r + 1) + ' is missing its id, product or quantity.' };
+            }
+        }
+
+        if (!Array.isArray(backup.customers)) {
+            return { error: 'This backup has no customer list.' };
+        }
+        for (var c = 0; c < backup.customers.length; c++) {
+            var customer = backup.customers[c];
+            if (!customer || typeof customer.id !== 'string' || !customer.id || !String(customer.name || '').trim()) {
+                return { error: 'Customer #' + (c + 1) + ' has no id or name.' };
+            }
+        }
+
+        if (!Array.isArray(backup.expenses)) {
+            return { error: 'This backup has no expense list.' };
+        }
+        for (var x = 0; x < backup.expenses.length; x++) {
+            var expense = backup.expenses[x];
+            if (!expense || typeof expense.id !== 'string' || !expense.id) {
+                return { error: 'Expense #' + (x + 1) + ' has no id.' };
+            }
+            var expenseErrs = expenseErrors(expense);
+            var expenseKeys = Object.keys(expenseErrs);
+            if (expenseKeys.length > 0) return { error: 'Expense #' + (x + 1) + ': ' + expenseErrs[expenseKeys[0]] + '.' };
+        }
+
+        if (!Array.isArray(backup.cashMovements) || !Array.isArray(backup.reconciliations)) {
+            return { error: 'This backup has no cash book.' };
+        }
+        for (var mv = 0; mv < backup.cashMovements.length; mv++) {
+            var movement = backup.cashMovements[mv];
+            if (!movement || typeof movement.id !== 'string' || !movement.id) {
+                return { error: 'Cash book entry #' + (mv + 1) + ' has no id.' };
+            }
+            var movementErrs = movementErrors(movement);
+            var movementKeys = Object.keys(movementErrs);
+            if (movementKeys.length > 0) return { error: 'Cash book entry #' + (mv + 1) + ': ' + movementErrs[movementKeys[0]] + '.' };
+        }
+        for (var rc = 0; rc < backup.reconciliations.length; rc++) {
+            var count = backup.reconciliations[rc];
+            if (!count || typeof count.id !== 'string' || !count.date || !PAYMENT_METHODS.includes(count.method)) {
+                return { error: 'Close-of-day count #' + (rc + 1) + ' is missing its id, day or payment method.' };
+            }
+        }
+
+        var ids = {};
+        for (var i = 0; i < backup.sales.length; i++) {
+            var sale = backup.sales[i];
+            var label = 'Sale #' + (i + 1);
+            if (!sale || typeof sale !== 'object') return { error: label + ' is not a sale record.' };
+            if (typeof sale.id !== 'string' || !sale.id) return { error: label + ' has no id.' };
+            if (ids[sale.id]) return { error: label + ' repeats the id "' + sale.id + '".' };
+            ids[sale.id] = true;
+
+            var errors = orderErrors({
+                date: sale.date,
+                customerType: sale.customerType,
+                paymentMethod: sale.paymentMethod
+            });
+            var keys = Object.keys(errors);
+            if (keys.length > 0) return { error: label + ': ' + errors[keys[0]] + '.' };
+            if (!Array.isArray(sale.lines) || sale.lines.length === 0) return { error: label + ' has no items.' };
+            if (!Array.isArray(sale.history)) return { error: label + ' has no change history list.' };
+            if (!Array.isArray(sale.payments)) return { error: label + ' has no payments list.' };
+            if (!Array.isArray(sale.refunds)) return { error: label + ' has no refunds list.' };
+
+            for (var l = 0; l < sale.lines.length; l++) {
+                var line = sale.lines[l];
+                if (!line || typeof line.id !== 'string' || !line.id) return { error: label + ', item ' + (l + 1) + ' has no id.' };
+                var lineErrs = lineErrors({ itemName: line.itemName, quantity: line.quantity, unitPrice: line.unitPrice });
+                var lineKeys = Object.keys(lineErrs);
+                if (lineKeys.length > 0) return { error: label + ' (' + (line.itemName || 'no item') + '): ' + lineErrs[lineKeys[0]] + '.' };
+            }
+            for (var rf = 0; rf < sale.refunds.length; rf++) {
+                var refund = sale.refunds[rf];
+                if (!refund || typeof refund.id !== 'string' || !refund.id) return { error: label + ', refund ' + (rf + 1) + ' has no id.' };
+                var refundErrs = refundErrors(refund, sale);
+                var refundKeys = Object.keys(refundErrs);
+                if (refundKeys.length > 0) return { error: label + ', refund ' + (rf + 1) + ': ' + refundErrs[refundKeys[0]] + '.' };
+            }
+        }
+
+        return { backup: backup };
+    }
+
+    function renderRestoreHint() {
+        var mode = document.querySelector('input[name="restoreMode"]:checked').value;
+        var existing = {};
+        sales.forEach(function (s) { existing[s.id] = true; });
+        var fresh = pendingRestore.sales.filter(function (s) { return !existing[s.id]; }).length;
+
+        document.getElementById('restoreHint').textContent = mode === 'replace'
+            ? 'All ' + sales.length + ' sales in this journal will be removed and replaced by the ' + pendingRestore.sales.length + ' in the backup.'
+            : fresh + ' sales from the backup will be added. ' + (pendingRestore.sales.length - fresh) + ' already in this journal (same id) will be kept as they are.';
     }
 
-    function deleteSale(id) {
-        sales = sales.filter(function (s) { return s.id !== id; });
-        saveToLocalStorage();
-        renderAll();
+    function openRestoreModal(file) {
+        var reader = new FileReader();
+        reader.onload = function () {
+            var result = parseBackup(String(reader.result));
+            if (result.error) {
+                alert('Cannot restore backup.\n\n' + result.error);
+                return;
+            }
+            pendingRestore = result.backup;
+            var when = pendingRestore.exportedAt ? pendingRestore.exportedAt.slice(0, 10) : 'unknown date';
+            document.getElementById('restoreSummary').textContent =
+                'Backup from ' + when + ' · ' + pendingRestore.sales.length + ' sales · schema v' + pendingRestore.schemaVersion;
+            document.getElementById('restoreMerge').checked = true;
+            renderRestoreHint();
+            document.getElementById('restoreModal').hidden = false;
+        };
+        reader.onerror = function () {
+            alert('Could not read that file.');
+        };
+        reader.readAsText(file);
     }
 
-    function findSale(id) {
-        return sales.find(function (s) { return s.id === id; });
+    function closeRestoreModal() {
+        document.getElementById('restoreModal').hidden = true;
+        pendingRestore = null;
     }
 
-    // ── Export CSV ──────────────────────────────────────────
+    function restoreBackup() {
+        var mode = document.querySelector('input[name="restoreMode"]:checked').value;
+        if (mode === 'replace' && !confirm('Replace all ' + sales.length + ' sales in this journal with the backup?')) return;
 
-    function exportCSV() {
-        var filtered = applyFilters(sales);
-        if (filtered.length === 0) {
-            alert('No sales to export with current filters.');
-            return;
+        // Restored sales count as changed here so the next sync sends them
+        var now = new Date().toISOString();
+        var restored = pendingRestore.sales.map(function (s) { return Object.assign({}, s, { modifiedAt: now }); });
+        var restoredProducts = pendingRestore.products.map(function (p) { return Object.assign({}, p); });
+        var restoredRestocks = pendingRestore.restocks.map(function (r) { return Object.assign({}, r); });
+        var restoredCustomers = pendingRestore.customers.map(function (c) { return Object.assign({}, c); });
+        var restoredExpenses = pendingRestore.expenses.map(function (x) { return Object.assign({}, x); });
+        var restoredMovements = pendingRestore.cashMovements.map(function (mv) { return Object.assign({}, mv); });
+        var restoredCounts = pendingRestore.reconciliations.map(function (r) { return Object.assign({}, r); });
+        if (mode === 'replace') {
+            sales = restored;
+            products = restoredProducts;
+            restocks = restoredRestocks;
+            customers = restoredCustomers;
+            expenses = restoredExpenses;
+            cashMovements = restoredMovements;
+            reconciliations = restoredCounts;
+            openingBalances = pendingRestore.openingBalances || null;
+        } else {
+            sales = mergeById(sales, restored);
+            products = mergeById(products, restoredProducts);
+            restocks = mergeById(restocks, restoredRestocks);
+            customers = mergeById(customers, restoredCustomers);
+            expenses = mergeById(expenses, restoredExpenses);
+            cashMovements = mergeById(cashMovements, restoredMovements);
+            reconciliations = mergeById(reconciliations, restoredCounts);
+            // Keep this journal's opening balances unless it has none
+            openingBalances = openingBalances || pendingRestore.openingBalances || null;
         }
 
-        var headers = ['Date', 'CustomerType', 'ItemName', 'Quantity', 'UnitPrice', 'CostPerUnit', 'Discount', 'PaymentMethod', 'Notes', 'LineRevenue', 'LineProfit'];
-        var rows = [headers.join(',')];
+        if (pendingRestore.theme === 'light' || pendingRestore.theme === 'dark') {
+            applyTheme(pendingRestore.theme);
+        }
+        if (COST_METHODS[pendingRestore.costMethod]) {
+            costMethod = pendingRestore.costMethod;
+            SalesStore.setSetting('costMethod', costMethod);
+        }
+        if (pendingRestore.targets && typeof pendingRestore.targets === 'object') {
+            targets = pendingRestore.targets;
+            SalesStore.setSetting('targets', targets);
+        }
 
-        filtered.forEach(function (s) {
-            var row = [
-                s.date,
-                s.customerType,
-                '"' + (s.itemName || '').replace(/"/g, '""') + '"',
-                s.quantity,
-                s.unitPrice,
-                s.costPerUnit !== '' && s.costPerUnit !== null && s.costPerUnit !== undefined ? s.costPerUnit : '',
-                s.discount || 0,
-                s.paymentMethod,
-                '"' + (s.notes || '').replace(/"/g, '""') + '"',
-                lineRevenue(s),
-                lineProfit(s)
-            ];
-            rows.push(row.join(','));
-        });
-
-        var csv = rows.join('\n');
-        var blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        var url = URL.createObjectURL(blob);
-        var a = document.createElement('a');
-        a.href = url;
-        a.download = 'tori-sales-' + todayISO() + '.csv';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        saveSales();
+        saveProducts();
+        saveRestocks();
+        saveCustomers();
+        saveExpenses();
+        saveCashMovements();
+        saveReconciliations();
+        SalesStore.setSetting('openingBalances', openingBalances);
+        clearHistory();
+        scheduleSync();
+        closeRestoreModal();
+        renderProductOptions();
+        renderCustomerOptions();
+        renderAll();
+    }
+
+    /** Append records from `incoming` whose id is not already in `current`. */
+    function mergeById(current, incoming) {
+        var existing = {};
+        current.forEach(function (r) { existing[r.id] = true; });
+        return current.concat(incoming.filter(function (r) { return !existing[r.id]; }));
     }
 
     // ── Edit modal ─────────────────────────────────────────
@@ -452,19 +5826,23 @@
 
         document.getElementById('editId').value = sale.id;
         document.getElementById('editDate').value = sale.date;
-        document.getElementById('editItemName').value = sale.itemName;
-        document.getElementById('editQuantity').value = sale.quantity;
-        document.getElementById('editUnitPrice').value = sale.unitPrice;
-        document.getElementById('editCostPerUnit').value = sale.costPerUnit !== '' && sale.costPerUnit !== null && sale.costPerUnit !== undefined ? sale.costPerUnit : '';
         document.getElementById('editDiscount').value = sale.discount || '';
+        setLineRows('editLines', sale.lines);
         document.getElementById('editPaymentMethod').value = sale.paymentMethod;
         document.getElementById('editNotes').value = sale.notes || '';
 
+        renderCustomerOptions();
+        document.getElementById('editCustomerSelect').value = findCustomer(sale.customerId) ? sale.customerId : '';
+
         // Set customer type radio
         var ctNew = document.getElementById('editCtNew');
         var ctRet = document.getElementById('editCtReturning');
         ctNew.checked = sale.customerType === 'new';
         ctRet.checked = sale.customerType === 'returning';
+        syncCustomerType('edit');
+
+        // The sale cards show this under Details; the table has no room for it
+        document.getElementById('editHistory').innerHTML = historyHTML(sale);
 
         // Clear errors
         document.querySelectorAll('#editForm .error-msg').forEach(function (el) { el.textContent = ''; });
@@ -479,11 +5857,20 @@
     // ── Reset all data ─────────────────────────────────────
 
     function resetAllData() {
-        if (!confirm('⚠️ Are you sure you want to delete ALL sales data?\n\nThis action cannot be undone!')) return;
+        if (sales.length === 0) {
+            alert('There are no sales to reset.');
+            return;
+        }
+        if (!confirm('⚠️ Are you sure you want to delete ALL ' + sales.length + ' sales?\n\nThey will stay in the recycle bin for ' + binDays + ' days before being purged.')) return;
         if (!confirm('This is your last chance. Really delete everything?')) return;
+        recordChange('Reset all', sales.map(function (s) { return s.id; }));
+        moveToRecycleBin(sales, 'reset');
+        addTombstones(sales);
         sales = [];
-        localStorage.removeItem(STORAGE_KEY);
+        saveSales();
+        scheduleSync();
         renderAll();
+        showToast('All sales moved to the recycle bin.', 'Undo', undo);
     }
 
     // ── Event bindings ─────────────────────────────────────
@@ -497,12 +5884,40 @@
             e.preventDefault();
             var result = validateForm('');
             if (!result.valid) return;
+            if (!confirmStockForSale(result.data)) return;
             addSale(result.data);
 
             // Reset form but keep date as today
             this.reset();
             document.getElementById('saleDate').value = todayISO();
+            setLineRows('saleLines', []);
+            syncCustomerType('');
+        });
+
+        // Quick entry
+        document.getElementById('quickEntryForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            submitQuickEntry();
+        });
+        document.getElementById('quickEntry').addEventListener('input', renderQuickPreview);
+
+        // Customer pickers decide new/returning from the customer's history
+        document.getElementById('customerSelect').addEventListener('change', function () { syncCustomerType(''); });
+        document.getElementById('saleDate').addEventListener('change', function () { syncCustomerType(''); });
+        document.getElementById('editCustomerSelect').addEventListener('change', function () { syncCustomerType('edit'); });
+        document.getElementById('editDate').addEventListener('change', function () { syncCustomerType('edit'); });
+
+        // Line items: product pickers fill in price and cost; any change updates the order total
+        ['saleLines', 'editLines'].forEach(function (containerId) {
+            var container = document.getElementById(containerId);
+            container.addEventListener('change', function (e) {
+                if (e.target.classList.contains('line-product')) fillFromProduct(e.target.closest('.line-item-row'));
+                updateOrderTotal(containerId);
+            });
+            container.addEventListener('input', function () { updateOrderTotal(containerId); });
         });
+        document.getElementById('discount').addEventListener('input', function () { updateOrderTotal('saleLines'); });
+        document.getElementById('editDiscount').addEventListener('input', function () { updateOrderTotal('editLines'); });
 
         // Edit form
         document.getElementById('editForm').addEventListener('submit', function (e) {
@@ -510,6 +5925,7 @@
             var result = validateForm('edit');
             if (!result.valid) return;
             var id = document.getElementById('editId').value;
+            if (!confirmStockForSale(result.data, findSale(id))) return;
             updateSale(id, result.data);
             closeEditModal();
         });
@@ -523,28 +5939,224 @@
 
         // Close modal on Escape
         document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape' && !document.getElementById('editModal').hidden) {
-                closeEditModal();
-            }
+            if (e.key !== 'Escape') return;
+            if (!document.getElementById('editModal').hidden) closeEditModal();
+            if (!document.getElementById('receiptModal').hidden) closeReceiptModal();
+            if (!document.getElementById('paymentsModal').hidden) closePaymentsModal();
+            else if (!document.getElementById('debtsModal').hidden) closeDebtsModal();
+            if (!document.getElementById('refundModal').hidden) closeRefundModal();
+            if (!document.getElementById('syncModal').hidden) closeSyncModal();
+            if (!document.getElementById('operatorModal').hidden) closeOperatorModal();
+            if (!document.getElementById('recycleBinModal').hidden) closeRecycleBin();
+            if (!document.getElementById('importModal').hidden) closeImportModal();
+            if (!document.getElementById('restoreModal').hidden) closeRestoreModal();
+            if (!document.getElementById('productsModal').hidden) closeProductsModal();
+            if (!document.getElementById('inventoryModal').hidden) closeInventoryModal();
+            if (!document.getElementById('expensesModal').hidden) closeExpensesModal();
+            if (!document.getElementById('profitLossModal').hidden) closeProfitLossModal();
+            if (!document.getElementById('targetsModal').hidden) closeTargetsModal();
+            if (!document.getElementById('bulkModal').hidden) closeBulkModal();
+            if (!document.getElementById('pinModal').hidden) closePinModal();
+            if (!document.getElementById('journalsModal').hidden) closeJournalsModal();
+            if (!document.getElementById('cashBookModal').hidden) closeCashBookModal();
+            if (!document.getElementById('closeDayModal').hidden) closeCloseDayModal();
+            if (!document.getElementById('reportsModal').hidden) closeReportsModal();
+            if (!document.getElementById('customerHistoryModal').hidden) closeCustomerHistory();
+            else if (!document.getElementById('customersModal').hidden) closeCustomersModal();
         });
 
         // Delegated events for edit/delete/toggle buttons
         document.addEventListener('click', function (e) {
+            var sortBtn = e.target.closest('[data-sort]');
+            if (sortBtn) {
+                sortSales(sortBtn.getAttribute('data-sort'));
+                return;
+            }
+
             var editBtn = e.target.closest('[data-edit]');
             if (editBtn) {
                 openEditModal(editBtn.getAttribute('data-edit'));
                 return;
             }
 
+            var receiptBtn = e.target.closest('[data-receipt]');
+            if (receiptBtn) {
+                openReceiptModal(receiptBtn.getAttribute('data-receipt'));
+                return;
+            }
+
             var deleteBtn = e.target.closest('[data-delete]');
             if (deleteBtn) {
                 var id = deleteBtn.getAttribute('data-delete');
-                if (confirm('Delete this sale?')) {
+                if (confirm('Delete this sale? It will stay in the recycle bin for ' + binDays + ' days.')) {
                     deleteSale(id);
                 }
                 return;
             }
 
+            var addLineBtn = e.target.closest('[data-add-line]');
+            if (addLineBtn) {
+                addLineRow(addLineBtn.getAttribute('data-add-line'));
+                return;
+            }
+
+            var removeLineBtn = e.target.closest('[data-remove-line]');
+            if (removeLineBtn) {
+                removeLineRow(removeLineBtn.closest('.line-item-row'));
+                return;
+            }
+
+            var expandBtn = e.target.closest('[data-expand]');
+            if (expandBtn) {
+                var expanded = expandBtn.getAttribute('aria-expanded') !== 'true';
+                document.querySelectorAll('[data-order-line="' + expandBtn.getAttribute('data-expand') + '"]').forEach(function (row) {
+                    row.hidden = !expanded;
+                });
+                expandBtn.setAttribute('aria-expanded', String(expanded));
+                expandBtn.textContent = (expanded ? '▾' : '▸') + expandBtn.textContent.slice(1);
+                return;
+            }
+
+            var conflictUseBtn = e.target.closest('[data-conflict-use]');
+            if (conflictUseBtn) {
+                useConflictVersion(conflictUseBtn.getAttribute('data-conflict-use'));
+                return;
+            }
+
+            var conflictDismissBtn = e.target.closest('[data-conflict-dismiss]');
+            if (conflictDismissBtn) {
+                dismissConflict(conflictDismissBtn.getAttribute('data-conflict-dismiss'));
+                return;
+            }
+
+            var binRestoreBtn = e.target.closest('[data-bin-restore]');
+            if (binRestoreBtn) {
+                restoreFromBin(binRestoreBtn.getAttribute('data-bin-restore'));
+                return;
+            }
+
+            var binPurgeBtn = e.target.closest('[data-bin-purge]');
+            if (binPurgeBtn) {
+                if (confirm('Permanently delete this sale from the recycle bin?')) {
+                    purgeBinEntry(binPurgeBtn.getAttribute('data-bin-purge'));
+                }
+                return;
+            }
+
+            var productEditBtn = e.target.closest('[data-product-edit]');
+            if (productEditBtn) {
+                editProduct(productEditBtn.getAttribute('data-product-edit'));
+                return;
+            }
+
+            var productArchiveBtn = e.target.closest('[data-product-archive]');
+            if (productArchiveBtn) {
+                setProductArchived(productArchiveBtn.getAttribute('data-product-archive'), true);
+                return;
+            }
+
+            var productRestoreBtn = e.target.closest('[data-product-restore]');
+            if (productRestoreBtn) {
+                setProductArchived(productRestoreBtn.getAttribute('data-product-restore'), false);
+                return;
+            }
+
+            var restockDeleteBtn = e.target.closest('[data-restock-delete]');
+            if (restockDeleteBtn) {
+                if (confirm('Delete this restock? Stock on hand will go down by its quantity.')) {
+                    deleteRestock(restockDeleteBtn.getAttribute('data-restock-delete'));
+                }
+                return;
+            }
+
+            var expenseEditBtn = e.target.closest('[data-expense-edit]');
+            if (expenseEditBtn) {
+                editExpense(expenseEditBtn.getAttribute('data-expense-edit'));
+                return;
+            }
+
+            var expenseDeleteBtn = e.target.closest('[data-expense-delete]');
+            if (expenseDeleteBtn) {
+                if (confirm('Delete this expense?')) {
+                    deleteExpense(expenseDeleteBtn.getAttribute('data-expense-delete'));
+                }
+                return;
+            }
+
+            var paymentsBtn = e.target.closest('[data-payments]');
+            if (paymentsBtn) {
+                openPaymentsModal(paymentsBtn.getAttribute('data-payments'));
+                return;
+            }
+
+            var paymentDeleteBtn = e.target.closest('[data-payment-delete]');
+            if (paymentDeleteBtn) {
+                if (confirm('Delete this payment? The amount will be owed again.')) {
+                    deletePayment(paymentDeleteBtn.getAttribute('data-payment-delete'));
+                }
+                return;
+            }
+
+            var refundBtn = e.target.closest('[data-refund]');
+            if (refundBtn) {
+                openRefundModal(refundBtn.getAttribute('data-refund'));
+                return;
+            }
+
+            var refundDeleteBtn = e.target.closest('[data-refund-delete]');
+            if (refundDeleteBtn) {
+                if (confirm('Delete this return? Its amount counts as revenue again and any restocked items leave stock.')) {
+                    deleteRefund(refundDeleteBtn.getAttribute('data-refund-delete'));
+                }
+                return;
+            }
+
+            var movementDeleteBtn = e.target.closest('[data-movement-delete]');
+            if (movementDeleteBtn) {
+                if (confirm('Delete this cash book entry? The balance will change by its amount.')) {
+                    deleteMovement(movementDeleteBtn.getAttribute('data-movement-delete'));
+                }
+                return;
+            }
+
+            var journalOpenBtn = e.target.closest('[data-journal-open]');
+            if (journalOpenBtn) {
+                switchJournal(journalOpenBtn.getAttribute('data-journal-open'));
+                return;
+            }
+
+            var journalRenameBtn = e.target.closest('[data-journal-rename]');
+            if (journalRenameBtn) {
+                renameJournal(journalRenameBtn.getAttribute('data-journal-rename'));
+                return;
+            }
+
+            var journalDeleteBtn = e.target.closest('[data-journal-delete]');
+            if (journalDeleteBtn) {
+                deleteJournal(journalDeleteBtn.getAttribute('data-journal-delete'));
+                return;
+            }
+
+            var customerHistoryBtn = e.target.closest('[data-customer-history]');
+            if (customerHistoryBtn) {
+                openCustomerHistory(customerHistoryBtn.getAttribute('data-customer-history'));
+                return;
+            }
+
+            var customerEditBtn = e.target.closest('[data-customer-edit]');
+            if (customerEditBtn) {
+                editCustomer(customerEditBtn.getAttribute('data-customer-edit'));
+                return;
+            }
+
+            var customerDeleteBtn = e.target.closest('[data-customer-delete]');
+            if (customerDeleteBtn) {
+                if (confirm('Delete this customer?')) {
+                    deleteCustomer(customerDeleteBtn.getAttribute('data-customer-delete'));
+                }
+                return;
+            }
+
             var toggleBtn = e.target.closest('[data-toggle]');
             if (toggleBtn) {
                 var detailsEl = document.getElementById('details-' + toggleBtn.getAttribute('data-toggle'));
@@ -556,31 +6168,449 @@
         });
 
         // Filters – re-render on change
-        var filterIds = ['filterDateFrom', 'filterDateTo', 'filterCustomerType', 'filterPayment', 'filterSearch'];
+        var filterIds = ['filterQuickRange', 'filterDateFrom', 'filterDateTo', 'filterCustomerType', 'filterPayment', 'filterItems', 'filterKind'];
         filterIds.forEach(function (id) {
-            var el = document.getElementById(id);
-            el.addEventListener('input', renderAll);
-            el.addEventListener('change', renderAll);
+            document.getElementById(id).addEventListener('change', onFilterInput);
+        });
+        // Typed boxes re-filter after a pause
+        ['filterSearch'].concat(RANGE_FIELDS.map(function (key) { return 'filter' + ucfirst(key); })).forEach(function (id) {
+            document.getElementById(id).addEventListener('input', onFilterTyping);
+        });
+        document.getElementById('salesMoreBtn').addEventListener('click', showMoreSales);
+        document.getElementById('salesSort').addEventListener('change', function () {
+            var parts = this.value.split('-');
+            sortSales(parts[0], parts[1]);
         });
 
         document.getElementById('clearFiltersBtn').addEventListener('click', clearFilters);
+        document.getElementById('filterPreset').addEventListener('change', function () { applyPreset(this.value); });
+        document.getElementById('savePresetBtn').addEventListener('click', savePreset);
+        document.getElementById('deletePresetBtn').addEventListener('click', function () {
+            var name = document.getElementById('filterPreset').value;
+            if (name && confirm('Delete the saved filter "' + name + '"?')) deletePreset(name);
+        });
+        // Following a bookmarked or pasted link with different filters
+        window.addEventListener('hashchange', function () {
+            setFilters(filtersFromHash(location.hash));
+            salesListLimit = SALES_PAGE_SIZE;
+            renderAll();
+        });
 
         // Export CSV
         document.getElementById('exportCsvBtn').addEventListener('click', exportCSV);
 
+        // Import CSV
+        document.getElementById('importCsvBtn').addEventListener('click', function () {
+            document.getElementById('importCsvInput').click();
+        });
+        document.getElementById('importCsvInput').addEventListener('change', function () {
+            if (this.files.length > 0) openImportModal(this.files[0]);
+            this.value = '';
+        });
+        document.getElementById('importSkipDuplicates').addEventListener('change', renderImportPreview);
+        document.getElementById('importConfirmBtn').addEventListener('click', importCSV);
+        document.getElementById('importCancelBtn').addEventListener('click', closeImportModal);
+        document.getElementById('importModal').addEventListener('click', function (e) {
+            if (e.target === this) closeImportModal();
+        });
+
+        // Backup & restore
+        document.getElementById('backupBtn').addEventListener('click', exportBackup);
+        document.getElementById('restoreBtn').addEventListener('click', function () {
+            document.getElementById('restoreInput').click();
+        });
+        document.getElementById('restoreInput').addEventListener('change', function () {
+            if (this.files.length > 0) openRestoreModal(this.files[0]);
+            this.value = '';
+        });
+        document.querySelectorAll('input[name="restoreMode"]').forEach(function (el) {
+            el.addEventListener('change', renderRestoreHint);
+        });
+        document.getElementById('restoreConfirmBtn').addEventListener('click', restoreBackup);
+        document.getElementById('restoreCancelBtn').addEventListener('click', closeRestoreModal);
+        document.getElementById('restoreModal').addEventListener('click', function (e) {
+            if (e.target === this) closeRestoreModal();
+        });
+
+        // Operator
+        document.getElementById('operatorBtn').addEventListener('click', openOperatorModal);
+        document.getElementById('operatorForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            setOperator(document.getElementById('operatorName').value);
+            closeOperatorModal();
+        });
+        document.getElementById('operatorSkipBtn').addEventListener('click', function () {
+            setOperator('');
+            closeOperatorModal();
+        });
+
+        // Journals
+        document.getElementById('journalsBtn').addEventListener('click', openJournalsModal);
+        document.getElementById('journalForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            addJournal();
+        });
+        document.getElementById('journalPeriod').addEventListener('change', renderConsolidated);
+        document.getElementById('journalsCloseBtn').addEventListener('click', closeJournalsModal);
+        document.getElementById('journalsModal').addEventListener('click', function (e) {
+            if (e.target === this) closeJournalsModal();
+        });
+
+        // Passcode
+        document.getElementById('lockBtn').addEventListener('click', lockNow);
+        document.getElementById('pinBtn').addEventListener('click', openPinModal);
+        document.getElementById('pinForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            savePasscode();
+        });
+        document.getElementById('pinRemoveBtn').addEventListener('click', removePasscode);
+        document.getElementById('pinAutoLock').addEventListener('change', function () {
+            SalesStore.setSetting('autoLockMinutes', Number(this.value));
+        });
+        document.getElementById('pinCancelBtn').addEventListener('click', closePinModal);
+        document.getElementById('pinModal').addEventListener('click', function (e) {
+            if (e.target === this) closePinModal();
+        });
+
+        // App updates
+        document.getElementById('updateReloadBtn').addEventListener('click', applyUpdate);
+        document.getElementById('updateLaterBtn').addEventListener('click', function () {
+            document.getElementById('updateBanner').hidden = true;
+        });
+
+        // Sync
+        document.getElementById('syncBtn').addEventListener('click', openSyncModal);
+        document.getElementById('syncForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            if (saveSyncSettings()) syncNow(false);
+        });
+        document.getElementById('syncCloseBtn').addEventListener('click', function () {
+            if (saveSyncSettings()) closeSyncModal();
+        });
+        document.getElementById('syncModal').addEventListener('click', function (e) {
+            if (e.target === this) closeSyncModal();
+        });
+
+        // Receipts
+        document.getElementById('receiptPrintBtn').addEventListener('click', printReceipt);
+        document.getElementById('receiptCopyBtn').addEventListener('click', copyReceiptText);
+        document.getElementById('receiptWhatsAppBtn').addEventListener('click', shareReceiptWhatsApp);
+        document.getElementById('receiptCloseBtn').addEventListener('click', closeReceiptModal);
+        document.getElementById('receiptModal').addEventListener('click', function (e) {
+            if (e.target === this) closeReceiptModal();
+        });
+
         // Reset all data
         document.getElementById('resetAllBtn').addEventListener('click', resetAllData);
+
+        // Undo / redo: Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z outside text fields
+        document.addEventListener('keydown', function (e) {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+            var key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+            else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); redo(); }
+        });
+        document.getElementById('undoBtn').addEventListener('click', undo);
+        document.getElementById('redoBtn').addEventListener('click', redo);
+
+        // Recycle bin
+        document.getElementById('recycleBinBtn').addEventListener('click', openRecycleBin);
+        document.getElementById('binDaysSelect').addEventListener('change', function () {
+            setBinDays(this.value);
+        });
+        document.getElementById('recycleBinEmptyBtn').addEventListener('click', emptyRecycleBin);
+        document.getElementById('recycleBinCloseBtn').addEventListener('click', closeRecycleBin);
+        document.getElementById('recycleBinModal').addEventListener('click', function (e) {
+            if (e.target === this) closeRecycleBin();
+        });
+
+        // Product catalogue
+        document.getElementById('productsBtn').addEventListener('click', openProductsModal);
+        document.getElementById('productForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var result = validateProductForm();
+            if (!result.valid) return;
+            saveProduct(result.data);
+        });
+        document.getElementById('productResetBtn').addEventListener('click', resetProductForm);
+        document.getElementById('productsCloseBtn').addEventListener('click', closeProductsModal);
+        document.getElementById('productsModal').addEventListener('click', function (e) {
+            if (e.target === this) closeProductsModal();
+        });
+
+        // Inventory
+        document.getElementById('inventoryBtn').addEventListener('click', openInventoryModal);
+        document.getElementById('restockForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var result = validateRestockForm();
+            if (!result.valid) return;
+            addRestock(result.data);
+            this.reset();
+            document.getElementById('restockDate').value = todayISO();
+        });
+        document.getElementById('costMethodSelect').addEventListener('change', function () {
+            setCostMethod(this.value);
+        });
+        document.getElementById('inventoryCloseBtn').addEventListener('click', closeInventoryModal);
+        document.getElementById('inventoryModal').addEventListener('click', function (e) {
+            if (e.target === this) closeInventoryModal();
+        });
+
+        // Payments and debts
+        document.getElementById('paymentForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var sale = findSale(paymentsSaleId);
+            if (!sale) return;
+            var result = validatePaymentForm(sale);
+            if (!result.valid) return;
+            addPayment(result.data);
+        });
+        document.getElementById('paymentsCloseBtn').addEventListener('click', closePaymentsModal);
+        document.getElementById('paymentsModal').addEventListener('click', function (e) {
+            if (e.target === this) closePaymentsModal();
+        });
+        document.getElementById('refundForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var sale = findSale(refundSaleId);
+            if (!sale) return;
+            var result = validateRefundForm(sale);
+            if (!result.valid) return;
+            addRefund(result.data);
+        });
+        document.getElementById('refundLinesBody').addEventListener('input', updateRefundAmount);
+        document.getElementById('refundCloseBtn').addEventListener('click', closeRefundModal);
+        document.getElementById('refundModal').addEventListener('click', function (e) {
+            if (e.target === this) closeRefundModal();
+        });
+        document.getElementById('debtsBtn').addEventListener('click', openDebtsModal);
+        document.getElementById('debtsCloseBtn').addEventListener('click', closeDebtsModal);
+        document.getElementById('debtsModal').addEventListener('click', function (e) {
+            if (e.target === this) closeDebtsModal();
+        });
+
+        // Bulk actions on ticked sales
+        document.addEventListener('change', function (e) {
+            if (e.target.matches('[data-select]')) setSelected(e.target.getAttribute('data-select'), e.target.checked);
+        });
+        document.getElementById('selectAllSales').addEventListener('change', function () {
+            if (this.checked) selectAllMatching();
+            else clearSelection();
+        });
+        document.getElementById('bulkSelectAllBtn').addEventListener('click', selectAllMatching);
+        document.getElementById('bulkClearBtn').addEventListener('click', clearSelection);
+        document.querySelectorAll('[data-bulk]').forEach(function (btn) {
+            btn.addEventListener('click', function () {
+                var action = btn.getAttribute('data-bulk');
+                if (action === 'delete') bulkDelete();
+                else if (action === 'export') bulkExport();
+                else openBulkModal(action);
+            });
+        });
+        document.getElementById('bulkForm').addEventListener('input', renderBulkSummary);
+        document.getElementById('bulkForm').addEventListener('change', renderBulkSummary);
+        document.getElementById('bulkForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var plan = bulkPlan(bulkAction);
+            if (plan.error || plan.changes.length === 0) return;
+            closeBulkModal();
+            applyBulkPlan(plan);
+        });
+        document.getElementById('bulkCancelBtn').addEventListener('click', closeBulkModal);
+        document.getElementById('bulkModal').addEventListener('click', function (e) {
+            if (e.target === this) closeBulkModal();
+        });
+
+        // Targets
+        document.getElementById('targetsBtn').addEventListener('click', openTargetsModal);
+        document.getElementById('targetsForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var result = validateTargetsForm();
+            if (!result.valid) return;
+            saveTargets(result.data);
+            closeTargetsModal();
+            showToast('Targets saved.');
+        });
+        document.getElementById('targetsCancelBtn').addEventListener('click', closeTargetsModal);
+        document.getElementById('targetsModal').addEventListener('click', function (e) {
+            if (e.target === this) closeTargetsModal();
+        });
+
+        // Expenses and profit & loss
+        document.getElementById('expensesBtn').addEventListener('click', openExpensesModal);
+        document.getElementById('expenseForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var result = validateExpenseForm();
+            if (!result.valid) return;
+            saveExpense(result.data);
+        });
+        document.getElementById('expenseResetBtn').addEventListener('click', resetExpenseForm);
+        document.getElementById('expensesCloseBtn').addEventListener('click', closeExpensesModal);
+        document.getElementById('expensesModal').addEventListener('click', function (e) {
+            if (e.target === this) closeExpensesModal();
+        });
+        document.getElementById('profitLossBtn').addEventListener('click', openProfitLossModal);
+        document.getElementById('profitLossMonth').addEventListener('change', renderProfitLoss);
+        document.getElementById('profitLossCloseBtn').addEventListener('click', closeProfitLossModal);
+        document.getElementById('profitLossModal').addEventListener('click', function (e) {
+            if (e.target === this) closeProfitLossModal();
+        });
+
+        // Cash book and close of day
+        document.getElementById('cashBookBtn').addEventListener('click', openCashBookModal);
+        document.getElementById('openingForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var result = validateOpeningForm();
+            if (!result.valid) return;
+            saveOpeningBalances(result.data);
+        });
+        document.getElementById('movementForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var result = validateMovementForm();
+            if (!result.valid) return;
+            addMovement(result.data);
+            resetMovementForm();
+            renderCashBook();
+        });
+        document.getElementById('cashBookCloseBtn').addEventListener('click', closeCashBookModal);
+        document.getElementById('cashBookModal').addEventListener('click', function (e) {
+            if (e.target === this) closeCashBookModal();
+        });
+        document.getElementById('closeDayBtn').addEventListener('click', openCloseDayModal);
+        document.getElementById('closeDayDate').addEventListener('change', renderCloseDay);
+        document.getElementById('closeDayBody').addEventListener('input', function (e) {
+            var rowEl = e.target.closest('[data-close-method]');
+            if (rowEl) updateCloseDifference(rowEl);
+        });
+        document.getElementById('closeDayForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            saveCloseDay();
+        });
+        document.getElementById('closeDayCloseBtn').addEventListener('click', closeCloseDayModal);
+        document.getElementById('closeDayModal').addEventListener('click', function (e) {
+            if (e.target === this) closeCloseDayModal();
+        });
+
+        // Customers
+        document.getElementById('customersBtn').addEventListener('click', openCustomersModal);
+        document.getElementById('customerForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            var result = validateCustomerForm();
+            if (!result.valid) return;
+            saveCustomer(result.data);
+        });
+        document.getElementById('customerResetBtn').addEventListener('click', resetCustomerForm);
+        document.getElementById('customersCloseBtn').addEventListener('click', closeCustomersModal);
+        document.getElementById('customersModal').addEventListener('click', function (e) {
+            if (e.target === this) closeCustomersModal();
+        });
+        document.getElementById('customerHistoryCloseBtn').addEventListener('click', closeCustomerHistory);
+        document.getElementById('customerHistoryModal').addEventListener('click', function (e) {
+            if (e.target === this) closeCustomerHistory();
+        });
+
+        // Reports
+        document.getElementById('reportsBtn').addEventListener('click', openReportsModal);
+        document.getElementById('reportGrouping').addEventListener('change', renderReports);
+        document.getElementById('reportsCloseBtn').addEventListener('click', closeReportsModal);
+        document.getElementById('reportsModal').addEventListener('click', function (e) {
+            if (e.target === this) closeReportsModal();
+        });
+
+        // Close the header menu once one of its actions is picked, or on an outside click
+        document.addEventListener('click', function (e) {
+            document.querySelectorAll('.header-menu[open]').forEach(function (menu) {
+                if (!menu.contains(e.target) || e.target.closest('.header-menu-panel button')) {
+                    menu.open = false;
+                }
+            });
+        });
+    }
+
+    // ── Offline & updates ──────────────────────────────────
+
+    // Installed worker waiting to take over (null when only shell files changed),
+    // and whether the user asked it to.
+    var waitingWorker = null;
+    var updateAccepted = false;
+
+    /** Register sw.js so the app shell works offline, and watch for new versions. */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+        navigator.serviceWorker.register('sw.js').then(function (registration) {
+            if (registration.waiting && navigator.serviceWorker.controller) showUpdateBanner(registration.waiting);
+            registration.addEventListener('updatefound', function () {
+                var worker = registration.installing;
+                worker.addEventListener('statechange', function () {
+                    // With no controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+                });
+            });
+            setInterval(function () { registration.update(); }, UPDATE_CHECK_MS);
+        }).catch(function (err) {
+            console.log('[Offline] Service worker registration failed: ' + err.message);
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', function () {
+            if (updateAccepted) location.reload();
+        });
+        // The worker found changed app files and has cached the new copies
+        navigator.serviceWorker.addEventListener('message', function (e) {
+            if (e.data && e.data.type === 'SHELL_UPDATED') showUpdateBanner(waitingWorker);
+        });
+    }
+
+    function showUpdateBanner(worker) {
+        waitingWorker = worker;
+        document.getElementById('updateBanner').hidden = false;
+    }
+
+    function applyUpdate() {
+        if (!waitingWorker) {
+            location.reload();
+            return;
+        }
+        updateAccepted = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
     }
 
     // ── Initialisation ─────────────────────────────────────
 
     function init() {
-        loadTheme();
-        loadFromLocalStorage();
-        migrateOldData();          // convert old records if any exist
-        document.getElementById('saleDate').value = todayISO();
-        bindEvents();
-        renderAll();
+        registerServiceWorker();
+        SalesStore.onError(function (message) { alert(message); });
+        renderJournalName();
+        SalesStore.open(requestPin).then(function (data) {
+            document.getElementById('lockScreen').hidden = true;
+            loadTheme();
+            loadFromStore(data);
+            migrateOldData();          // convert old records if any exist
+            migrateSingleItemSales();  // single-item sales become one-line orders
+            migrateAuditFields();      // sales gain createdAt and a change history
+            migratePayments();         // sales gain a payments list
+            migrateRefunds();          // sales gain a refunds list
+            purgeRecycleBin();         // drop bin entries past the retention period
+            document.getElementById('saleDate').value = todayISO();
+            setLineRows('saleLines', []);
+            renderCustomerOptions();
+            bindEvents();
+            setOperator('');
+            renderPresetOptions();
+            renderItemFilterOptions([]);
+            if (location.hash) {
+                setFilters(filtersFromHash(location.hash));   // a bookmarked or shared view
+                if (filtersToHash(getFilters())) document.getElementById('filterDetails').open = true;
+            }
+            renderAll();
+            renderJournalMenu();
+            renderLockButton();
+            startSync();
+            startAutoLock();
+            openOperatorModal();       // ask who is using the journal this session
+        }, function (err) {
+            alert('Could not open the sales database: ' + err.message + '\n\nNothing has been changed. Try reloading the page.');
+        });
     }
 
     // Run when DOM is ready
@@ -0,0 +1,810 @@
+/* ═══════════════════════════════════════════════════════════
+   Tori's Skin Secret — Sales Journal storage
+   IndexedDB-backed storage used by app.js. Records are written one at a
+   time; sales are indexed by date, item and payment method. Data kept in
+   localStorage by earlier versions is moved over on first launch.
+   With a passcode set, records and settings are encrypted before they are
+   written (see "Encryption at rest").
+   Each journal (business) has a database of its own; the list of journals
+   and which one is open live in localStorage (see "Journals").
+   Write failures (including a full disk) are reported through onError().
+   ═══════════════════════════════════════════════════════════ */
+
+window.SalesStore = (function () {
+    'use strict';
+
+    // ── Constants ──────────────────────────────────────────
+    const DB_NAME = 'toriSalesJournal';
+    const DB_VERSION = 4;
+
+    // The journal that existed before there could be several keeps DB_NAME;
+    // others use DB_NAME + '-' + id. localStorage keys for the journal list
+    // [{ id, name }] and the id of the journal to open.
+    const DEFAULT_JOURNAL = 'default';
+    const JOURNALS_KEY = 'toriSalesJournals';
+    const CURRENT_JOURNAL_KEY = 'toriSalesCurrentJournal';
+    // Set to "<journal id> <time>" when a passcode changes, so other tabs
+    // (still holding the old key) hear about it through a 'storage' event.
+    const PASSCODE_CHANGED_KEY = 'toriSalesPasscodeChanged';
+
+    // Object stores holding records keyed by their `id`.
+    const RECORD_STORES = ['sales', 'products', 'restocks', 'customers', 'recycleBin', 'tombstones', 'expenses', 'cashMovements', 'reconciliations'];
+    const SETTINGS_STORE = 'settings';
+
+    // How each store is named in error messages.
+    const STORE_LABELS = {
+        sales: 'sales',
+        products: 'products',
+        restocks: 'restocks',
+        customers: 'customers',
+        recycleBin: 'recycle bin',
+        tombstones: 'deleted-sale markers',
+        expenses: 'expenses',
+        cashMovements: 'withdrawals and deposits',
+        reconciliations: 'close-of-day counts',
+        settings: 'settings'
+    };
+
+    // localStorage keys used before IndexedDB, moved over on first launch.
+    const LEGACY_RECORD_KEYS = {
+        sales: 'toriSalesJournal',
+        products: 'toriSalesProducts',
+        restocks: 'toriSalesRestocks',
+        customers: 'toriSalesCustomers',
+        recycleBin: 'toriSalesRecycleBin'
+    };
+    const LEGACY_SETTING_KEYS = {
+        theme: 'toriSalesTheme',
+        costMethod: 'toriSalesCostMethod',
+        binDays: 'toriSalesBinDays',
+        receiptCounter: 'toriSalesReceiptCounter',
+        operator: 'toriSalesOperator'
+    };
+
+    // Settings stored unencrypted even with a passcode: the lock itself, and
+    // what the lock screen needs before the journal is unlocked.
+    const PLAIN_SETTINGS = ['pinLock', 'migratedFromLocalStorage', 'theme'];
+    // PBKDF2 rounds turning a passcode into a key: slow enough to make guessing
+    // expensive, quick enough to unlock on a low-end phone.
+    const PIN_ITERATIONS = 200000;
+    // Sealed with the key in the pinLock setting; only the right passcode opens it.
+    const PIN_CHECK = 'tori-sales-journal';
+
+    // ── State ──────────────────────────────────────────────
+    let db = null;
+    let settings = {};
+
+    // AES-GCM key while unlocked with a passcode; null when there is none.
+    let cryptoKey = null;
+
+    // Writes run one after another (sealing is asynchronous), so they reach
+    // the disk in the order they were made.
+    let queue = Promise.resolve();
+
+    // storeName → { id: JSON } of what was last written, so sync() only
+    // writes records that changed. A store is marked stale after a failed
+    // write and fully rewritten by the next sync().
+    let known = {};
+    let stale = {};
+
+    // storeName → { id: row } of rows that could not be decrypted at open().
+    // They are left out of the journal but kept on disk as they are.
+    let unreadable = {};
+    let unreadableSettings = 0;
+
+    let errorHandler = function (message) { console.error(message); };
+
+    // ── Helpers ────────────────────────────────────────────
+
+    /** Lower-cased item names of a sale, for the multi-entry 'item' index. */
+    function itemKeys(sale) {
+        var lines = Array.isArray(sale.lines) ? sale.lines : [sale];
+        return lines.map(function (line) { return String(line.itemName || '').trim().toLowerCase(); })
+            .filter(Boolean);
+    }
+
+    /** Shape stored on disk. Sales are wrapped so the index fields stay out of the sale itself. */
+    function toRow(storeName, record) {
+        if (storeName !== 'sales') return record;
+        return {
+            id: record.id,
+            date: record.date || '',
+            paymentMethod: record.paymentMethod || '',
+            items: itemKeys(record),
+            sale: record
+        };
+    }
+
+    function fromRow(storeName, row) {
+        return storeName === 'sales' ? row.sale : row;
+    }
+
+    /** Records as last written to a store, from the JSON kept for sync(). */
+    function knownRecords(storeName) {
+        return Object.keys(known[storeName]).map(function (id) { return JSON.parse(known[storeName][id]); });
+    }
+
+    /** Run `task` (returning a promise) after every write queued before it. */
+    function enqueue(task) {
+        var run = queue.then(task);
+        queue = run.catch(function () { /* reported by the task */ });
+        return run;
+    }
+
+    // ── Encryption at rest ─────────────────────────────────
+    // A sealed value is { sealed: true, iv, data }: its JSON encrypted with
+    // AES-GCM under a key derived from the passcode with PBKDF2. Sealed record
+    // rows keep only their id in the clear, so sales lose their indexes (the
+    // lookups below fall back to the records in memory). The 'pinLock'
+    // setting holds the salt and a sealed PIN_CHECK to recognise the passcode.
+
+    function deriveKey(pin, salt, iterations) {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']).then(function (base) {
+            return crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+                base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        });
+    }
+
+    function seal(value, key) {
+        var iv = crypto.getRandomValues(new Uint8Array(12));
+        return crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value))).then(function (data) {
+            return { sealed: true, iv: iv, data: data };
+        });
+    }
+
+    /** Rejects if the key is not the one the value was sealed with. */
+    function unseal(box, key) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: box.iv }, key, box.data).then(function (plain) {
+            return JSON.parse(new TextDecoder().decode(plain));
+        });
+    }
+
+    /** Rows to store for these records: sealed under `key`, or in the clear without one. */
+    function encodeRows(storeName, records, key) {
+        if (!key) return Promise.resolve(records.map(function (record) { return toRow(storeName, record); }));
+        return Promise.all(records.map(function (record) {
+            return seal(record, key).then(function (box) {
+                box.id = record.id;
+                return box;
+            });
+        }));
+    }
+
+    function decodeRow(storeName, row) {
+        return row.sealed ? unseal(row, cryptoKey) : Promise.resolve(fromRow(storeName, row));
+    }
+
+    function encodeSetting(name, value, key) {
+        return key && PLAIN_SETTINGS.indexOf(name) === -1 ? seal(value, key) : Promise.resolve(value);
+    }
+
+    /** The key for `pin`, or null if it is not the journal's passcode. */
+    function keyForPin(pin, lock) {
+        return deriveKey(pin, lock.salt, lock.iterations).then(function (key) {
+            return unseal(lock.check, key).then(function (check) {
+                return check === PIN_CHECK ? key : null;
+            }, function () { return null; });
+        });
+    }
+
+    /** Ask for the passcode until the right one is given, then open the sealed settings. */
+    function unlock(requestPin, wrong) {
+        return requestPin(wrong).then(function (pin) {
+            return keyForPin(String(pin), settings.pinLock);
+        }).then(function (key) {
+            if (!key) return unlock(requestPin, true);
+            cryptoKey = key;
+            var names = Object.keys(settings).filter(function (name) { return settings[name] && settings[name].sealed; });
+            return Promise.all(names.map(function (name) {
+                return unseal(settings[name], key).then(function (value) { settings[name] = value; }, function () {
+                    delete settings[name];
+                    unreadableSettings++;
+                });
+            }));
+        });
+    }
+
+    function report(error, storeName) {
+        var what = STORE_LABELS[storeName] || storeName;
+        var message;
+        if (error && error.name === 'QuotaExceededError') {
+            message = 'Storage on this device is full, so your last change to ' + what + ' was NOT saved.\n\n' +
+                'Take a Backup now, then free up space (or delete old records) and try again.';
+        } else {
+            message = 'Could not save your ' + what + (error && error.message ? ': ' + error.message : '.') +
+                '\n\nYour last change may not be saved. Take a Backup before continuing.';
+        }
+        errorHandler(message);
+    }
+
+    /**
+     * Run `fn(store)` in a read-write transaction on one store.
+     * Resolves true once the write is on disk, false (after reporting) if it failed.
+     */
+    function write(storeName, fn) {
+        return writeStores([storeName], storeName, function (tx) { fn(tx.objectStore(storeName)); });
+    }
+
+    /**
+     * Run `fn(tx)` in one read-write transaction over several stores: all of
+     * its writes land, or none do. Failures are reported against `label`.
+     */
+    function writeStores(storeNames, label, fn) {
+        return new Promise(function (resolve) {
+            var failed = false;
+            var fail = function (error) {
+                if (failed) return;
+                failed = true;
+                storeNames.forEach(function (name) { if (name !== SETTINGS_STORE) stale[name] = true; });
+                report(error, label);
+                resolve(false);
+            };
+
+            var tx;
+            try {
+                tx = db.transaction(storeNames, 'readwrite');
+            } catch (err) {
+                fail(err);
+                return;
+            }
+            tx.oncomplete = function () { resolve(true); };
+            tx.onabort = function () { fail(tx.error); };
+            try {
+                fn(tx);
+            } catch (err) {
+                fail(err);
+                try { tx.abort(); } catch { /* already finished */ }
+            }
+        });
+    }
+
+    function readAll(storeName) {
+        return new Promise(function (resolve, reject) {
+            var req = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            req.onsuccess = function () { resolve(req.result); };
+            req.onerror = function () { reject(req.error); };
+        }).then(function (rows) {
+            unreadable[storeName] = {};
+            return Promise.all(rows.map(function (row) {
+                return decodeRow(storeName, row).catch(function () {
+                    unreadable[storeName][row.id] = row;
+                    return null;
+                });
+            }));
+        }).then(function (records) {
+            return records.filter(function (record) { return record !== null; });
+        });
+    }
+
+    /** After a store is cleared, put back the rows that could not be decrypted. */
+    function keepUnreadable(store, storeName) {
+        Object.keys(unreadable[storeName] || {}).forEach(function (id) { store.put(unreadable[storeName][id]); });
+    }
+
+    /** Tell the user about records that could not be decrypted (see readAll). */
+    function reportUnreadable() {
+        var parts = RECORD_STORES.filter(function (name) {
+            return Object.keys(unreadable[name]).length > 0;
+        }).map(function (name) {
+            return Object.keys(unreadable[name]).length + ' ' + STORE_LABELS[name];
+        });
+        if (unreadableSettings > 0) parts.push(unreadableSettings + ' settings');
+        if (parts.length === 0) return;
+        errorHandler('Some records could not be opened with this passcode and are left out: ' + parts.join(', ') + '.\n\n' +
+            'They were probably saved by another tab while the passcode was being changed. They are kept on this device as they are; take a Backup of the rest now.');
+    }
+
+    function readSettings() {
+        return new Promise(function (resolve, reject) {
+            var store = db.transaction(SETTINGS_STORE, 'readonly').objectStore(SETTINGS_STORE);
+            var keysReq = store.getAllKeys();
+            var valuesReq = store.getAll();
+            valuesReq.onsuccess = function () {
+                settings = {};
+                keysReq.result.forEach(function (key, i) { settings[key] = valuesReq.result[i]; });
+                resolve();
+            };
+            valuesReq.onerror = function () { reject(valuesReq.error); };
+        });
+    }
+
+    // ── Opening & first-launch migration ───────────────────
+
+    function openDatabase(name) {
+        return new Promise(function (resolve, reject) {
+            if (!window.indexedDB) {
+                reject(new Error('This browser does not support IndexedDB.'));
+                return;
+            }
+            var req = window.indexedDB.open(name, DB_VERSION);
+            req.onupgradeneeded = function (e) {
+                var database = req.result;
+                // v1: sales (indexed), other records and settings
+                if (e.oldVersion < 1) {
+                    var sales = database.createObjectStore('sales', { keyPath: 'id' });
+                    sales.createIndex('date', 'date');
+                    sales.createIndex('item', 'items', { multiEntry: true });
+                    sales.createIndex('paymentMethod', 'paymentMethod');
+                    ['products', 'restocks', 'customers', 'recycleBin'].forEach(function (name) {
+                        database.createObjectStore(name, { keyPath: 'id' });
+                    });
+                    database.createObjectStore(SETTINGS_STORE);
+                }
+                // v2: markers for deleted sales, so sync can pass deletions on
+                if (e.oldVersion < 2) {
+                    database.createObjectStore('tombstones', { keyPath: 'id' });
+                }
+                // v3: business expenses
+                if (e.oldVersion < 3) {
+                    database.createObjectStore('expenses', { keyPath: 'id' });
+                }
+                // v4: cash book withdrawals/deposits and close-of-day counts
+                if (e.oldVersion < 4) {
+                    database.createObjectStore('cashMovements', { keyPath: 'id' });
+                    database.createObjectStore('reconciliations', { keyPath: 'id' });
+                }
+            };
+            req.onsuccess = function () { resolve(req.result); };
+            req.onerror = function () { reject(req.error); };
+            req.onblocked = function () {
+                reject(new Error('The journal is open in another tab with an older version. Close it and reload.'));
+            };
+        });
+    }
+
+    function readLegacy(key) {
+        var raw = localStorage.getItem(key);
+        if (raw === null) return null;
+        try { return JSON.parse(raw); } catch { return null; }
+    }
+
+    /**
+     * Copy localStorage data from before IndexedDB in one transaction.
+     * localStorage is only cleared once the copy is safely on disk, and only
+     * of keys that were copied: a key that can't be read is kept and reported,
+     * and the move is tried again on the next launch.
+     */
+    function migrateLocalStorage() {
+        if (settings.migratedFromLocalStorage || currentJournal().id !== DEFAULT_JOURNAL) return Promise.resolve();
+
+        var counts = [];
+        var copied = [];
+        var unreadable = [];
+        return new Promise(function (resolve, reject) {
+            var tx = db.transaction(RECORD_STORES.concat(SETTINGS_STORE), 'readwrite');
+            Object.keys(LEGACY_RECORD_KEYS).forEach(function (name) {
+                var key = LEGACY_RECORD_KEYS[name];
+                if (localStorage.getItem(key) === null) return;
+                var records = readLegacy(key);
+                if (!Array.isArray(records)) {
+                    unreadable.push(STORE_LABELS[name]);
+                    return;
+                }
+                var store = tx.objectStore(name);
+                records.forEach(function (record, i) {
+                    if (!record || typeof record !== 'object') return;
+                    if (!record.id) record.id = 'legacy-' + name + '-' + i;
+                    store.put(toRow(name, record));
+                });
+                copied.push(key);
+                counts.push(records.length + ' ' + STORE_LABELS[name]);
+            });
+            var settingsStore = tx.objectStore(SETTINGS_STORE);
+            Object.keys(LEGACY_SETTING_KEYS).forEach(function (name) {
+                var value = localStorage.getItem(LEGACY_SETTING_KEYS[name]);
+                if (value === null) return;
+                settingsStore.put(value, name);
+                copied.push(LEGACY_SETTING_KEYS[name]);
+            });
+            if (unreadable.length === 0) settingsStore.put(true, 'migratedFromLocalStorage');
+
+            tx.oncomplete = function () {
+                copied.forEach(function (key) { localStorage.removeItem(key); });
+                if (counts.length > 0) console.log('[Storage] Moved ' + counts.join(', ') + ' from localStorage to IndexedDB.');
+                if (unreadable.length > 0) {
+                    errorHandler('Your ' + unreadable.join(', ') + ' from an older version of the journal could not be read, so they were not moved over.\n\n' +
+                        'They have been left in this browser untouched. Don\'t clear the site\'s data; ask for help recovering them.');
+                }
+                resolve();
+            };
+            tx.onabort = function () {
+                reject(tx.error || new Error('Moving data from localStorage failed.'));
+            };
+        }).then(readSettings);
+    }
+
+    /**
+     * Open the current journal's database (migrating localStorage on first launch) and load everything.
+     * If a passcode is set, `requestPin(wrong)` is called for it — again with
+     * wrong = true after a wrong one — and must return a promise of the passcode.
+     * Resolves { sales, products, restocks, customers, recycleBin, tombstones, expenses,
+     * cashMovements, reconciliations }.
+     */
+    function open(requestPin) {
+        return openDatabase(databaseName(currentJournal().id)).then(function (database) {
+            db = database;
+            // Let a newer version of the app in another tab upgrade the database
+            db.onversionchange = function () {
+                db.close();
+                errorHandler('The journal was updated in another tab. Reload this page before making more changes.');
+            };
+            // Writes sealed with an old passcode could not be read back, so stop once it changes elsewhere
+            window.addEventListener('storage', function (e) {
+                if (e.key !== PASSCODE_CHANGED_KEY || String(e.newValue).split(' ')[0] !== currentJournal().id) return;
+                db.close();
+                errorHandler('The passcode was changed in another tab. Reload this page before making more changes.');
+            });
+            return readSettings();
+        }).then(migrateLocalStorage).then(function () {
+            if (settings.pinLock) return unlock(requestPin, false);
+        }).then(function () {
+            return Promise.all(RECORD_STORES.map(readAll));
+        }).then(function (lists) {
+            var data = {};
+            RECORD_STORES.forEach(function (name, i) {
+                data[name] = lists[i];
+                known[name] = {};
+                lists[i].forEach(function (record) { known[name][record.id] = JSON.stringify(record); });
+            });
+            reportUnreadable();
+            return data;
+        });
+    }
+
+    // ── Writes ─────────────────────────────────────────────
+
+    /**
+     * Queue a write of `records` to one store: they are sealed (with a
+     * passcode set), then `fn(store, rows)` stores the rows.
+     */
+    function writeRecords(storeName, records, fn) {
+        return enqueue(function () {
+            return encodeRows(storeName, records, cryptoKey).then(function (rows) {
+                return write(storeName, function (store) { fn(store, rows); });
+            }, function (err) {
+                stale[storeName] = true;
+                report(err, storeName);
+                return false;
+            });
+        });
+    }
+
+    /** Add or replace one record. */
+    function put(storeName, record) {
+        known[storeName][record.id] = JSON.stringify(record);
+        return writeRecords(storeName, [record], function (store, rows) { store.put(rows[0]); });
+    }
+
+    function remove(storeName, id) {
+        delete known[storeName][id];
+        return writeRecords(storeName, [], function (store) { store.delete(id); });
+    }
+
+    /**
+     * Make a store hold exactly `records`, writing only those added or
+     * changed since the last write and deleting those that are gone.
+     */
+    function sync(storeName, records) {
+        var before = known[storeName];
+        var after = {};
+        var changed = [];
+        records.forEach(function (record) {
+            var json = JSON.stringify(record);
+            after[record.id] = json;
+            if (before[record.id] !== json) changed.push(record);
+        });
+        var removed = Object.keys(before).filter(function (id) { return !(id in after); });
+        var full = stale[storeName];
+        if (!full && changed.length === 0 && removed.length === 0) return Promise.resolve(true);
+
+        known[storeName] = after;
+        stale[storeName] = false;
+        return writeRecords(storeName, full ? records : changed, function (store, rows) {
+            if (full) {
+                store.clear();
+                keepUnreadable(store, storeName);
+            }
+            rows.forEach(function (row) { store.put(row); });
+            if (!full) removed.forEach(function (id) { store.delete(id); });
+        });
+    }
+
+    /** Resolves once every write made so far has finished. */
+    function flush() {
+        return enqueue(function () { return true; });
+    }
+
+    // ── Settings ───────────────────────────────────────────
+
+    /** Setting value loaded at open(), or undefined. */
+    function getSetting(key) {
+        return settings[key];
+    }
+
+    function setSetting(key, value) {
+        settings[key] = value;
+        return enqueue(function () {
+            return encodeSetting(key, value, cryptoKey).then(function (stored) {
+                return write(SETTINGS_STORE, function (store) { store.put(stored, key); });
+            }, function (err) {
+                report(err, SETTINGS_STORE);
+                return false;
+            });
+        });
+    }
+
+    // ── Passcode ───────────────────────────────────────────
+
+    function hasPasscode() {
+        return !!settings.pinLock;
+    }
+
+    /** Resolves true if `pin` is the journal's passcode. */
+    function checkPasscode(pin) {
+        if (!settings.pinLock) return Promise.resolve(false);
+        return keyForPin(String(pin), settings.pinLock).then(function (key) { return !!key; });
+    }
+
+    /**
+     * Set or change the passcode, or remove it with an empty `pin`. Every
+     * record and setting is rewritten under the new key in one transaction,
+     * so if anything fails nothing changes and the old passcode still works.
+     * Resolves true once done, false (after reporting) if it failed.
+     */
+    function setPasscode(pin) {
+        return enqueue(function () {
+            var salt = crypto.getRandomValues(new Uint8Array(16));
+            var newKey = null;
+            var names = Object.keys(settings).filter(function (name) { return name !== 'pinLock'; });
+            return (pin ? deriveKey(String(pin), salt, PIN_ITERATIONS) : Promise.resolve(null)).then(function (key) {
+                newKey = key;
+                return Promise.all([
+                    Promise.all(RECORD_STORES.map(function (storeName) { return encodeRows(storeName, knownRecords(storeName), key); })),
+                    Promise.all(names.map(function (name) { return encodeSetting(name, settings[name], key); })),
+                    key ? seal(PIN_CHECK, key) : null
+                ]);
+            }).then(function (sealed) {
+                var lock = newKey ? { salt: salt, iterations: PIN_ITERATIONS, check: sealed[2] } : null;
+                return writeStores(RECORD_STORES.concat(SETTINGS_STORE), 'journal', function (tx) {
+                    RECORD_STORES.forEach(function (storeName, i) {
+                        var store = tx.objectStore(storeName);
+                        store.clear();
+                        keepUnreadable(store, storeName);
+                        sealed[0][i].forEach(function (row) { store.put(row); });
+                    });
+                    var settingsStore = tx.objectStore(SETTINGS_STORE);
+                    names.forEach(function (name, i) { settingsStore.put(sealed[1][i], name); });
+                    if (lock) settingsStore.put(lock, 'pinLock');
+                    else settingsStore.delete('pinLock');
+                }).then(function (ok) {
+                    if (!ok) return false;
+                    cryptoKey = newKey;
+                    stale = {};
+                    if (lock) settings.pinLock = lock;
+                    else delete settings.pinLock;
+                    localStorage.setItem(PASSCODE_CHANGED_KEY, currentJournal().id + ' ' + Date.now());
+                    return true;
+                });
+            }, function (err) {
+                report(err, 'journal');
+                return false;
+            });
+        });
+    }
+
+    // ── Journals ───────────────────────────────────────────
+    // Separate businesses kept apart: each journal's records, settings and
+    // passcode are in its own database. The default journal's name is ''
+    // until renamed (app.js shows its business name instead). Changing the
+    // current journal takes effect the next time open() runs.
+
+    function databaseName(id) {
+        return id === DEFAULT_JOURNAL ? DB_NAME : DB_NAME + '-' + id;
+    }
+
+    /** Every journal, the default one first. */
+    function listJournals() {
+        var list = [];
+        try { list = JSON.parse(localStorage.getItem(JOURNALS_KEY)); } catch { /* start over */ }
+        list = (Array.isArray(list) ? list : []).filter(function (journal) { return journal && journal.id; });
+        var hasDefault = list.some(function (journal) { return journal.id === DEFAULT_JOURNAL; });
+        return hasDefault ? list : [{ id: DEFAULT_JOURNAL, name: '' }].concat(list);
+    }
+
+    function saveJournals(list) {
+        localStorage.setItem(JOURNALS_KEY, JSON.stringify(list));
+    }
+
+    function findJournal(id) {
+        return listJournals().filter(function (journal) { return journal.id === id; })[0] || null;
+    }
+
+    /** The journal open() loads: the one last chosen, or the default. */
+    function currentJournal() {
+        return findJournal(localStorage.getItem(CURRENT_JOURNAL_KEY)) || findJournal(DEFAULT_JOURNAL);
+    }
+
+    /** Make `id` the journal the next open() loads. */
+    function useJournal(id) {
+        if (!findJournal(id)) return false;
+        localStorage.setItem(CURRENT_JOURNAL_KEY, id);
+        return true;
+    }
+
+    /** Add an empty journal; its database is created when it is first opened. */
+    function addJournal(name) {
+        var journal = { id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7), name: String(name) };
+        saveJournals(listJournals().concat(journal));
+        return journal;
+    }
+
+    function renameJournal(id, name) {
+        saveJournals(listJournals().map(function (journal) {
+            return journal.id === id ? { id: id, name: String(name) } : journal;
+        }));
+    }
+
+    /** Another journal's passcode lock (its 'pinLock' setting), or null if it has none. */
+    function journalLock(id) {
+        return openDatabase(databaseName(id)).then(function (database) {
+            return new Promise(function (resolve, reject) {
+                var req = database.transaction(SETTINGS_STORE, 'readonly').objectStore(SETTINGS_STORE).get('pinLock');
+                req.onsuccess = function () { resolve(req.result || null); };
+                req.onerror = function () { reject(req.error); };
+            }).then(function (lock) {
+                database.close();
+                return lock;
+            }, function (err) {
+                database.close();
+                throw err;
+            });
+        });
+    }
+
+    function journalHasPasscode(id) {
+        return journalLock(id).then(function (lock) { return !!lock; });
+    }
+
+    /** Resolves true if `pin` opens the journal, or it has no passcode. */
+    function checkJournalPasscode(id, pin) {
+        return journalLock(id).then(function (lock) {
+            if (!lock) return true;
+            return keyForPin(String(pin), lock).then(function (key) { return !!key; });
+        });
+    }
+
+    /**
+     * Delete a journal and its database; one with a passcode needs `pin`.
+     * The default journal and the open one can't be deleted. Resolves true
+     * once the database is gone, 'wrong' if `pin` doesn't open it, else false.
+     */
+    function removeJournal(id, pin) {
+        if (id === DEFAULT_JOURNAL || id === currentJournal().id || !findJournal(id)) return Promise.resolve(false);
+        return checkJournalPasscode(id, pin || '').then(function (right) {
+            if (!right) return 'wrong';
+            return new Promise(function (resolve) {
+                var req = window.indexedDB.deleteDatabase(databaseName(id));
+                req.onsuccess = function () {
+                    saveJournals(listJournals().filter(function (journal) { return journal.id !== id; }));
+                    resolve(true);
+                };
+                req.onerror = function () {
+                    report(req.error, 'journal');
+                    resolve(false);
+                };
+                req.onblocked = function () {
+                    errorHandler('That journal is open in another tab. Close it there and try again.');
+                };
+            });
+        }, function (err) {
+            report(err, 'journal');
+            return false;
+        });
+    }
+
+    /**
+     * Load another journal's records and settings without opening it, for
+     * totals across journals. Resolves { locked: true } if it has a passcode,
+     * else { locked: false, data, settings } shaped like open()'s result.
+     */
+    function readJournal(id) {
+        return openDatabase(databaseName(id)).then(function (database) {
+            var read = function (storeName, method) {
+                return new Promise(function (resolve, reject) {
+                    var req = database.transaction(storeName, 'readonly').objectStore(storeName)[method]();
+                    req.onsuccess = function () { resolve(req.result); };
+                    req.onerror = function () { reject(req.error); };
+                });
+            };
+            return Promise.all([read(SETTINGS_STORE, 'getAllKeys'), read(SETTINGS_STORE, 'getAll')]).then(function (results) {
+                var stored = {};
+                results[0].forEach(function (key, i) { stored[key] = results[1][i]; });
+                if (stored.pinLock) return { locked: true };
+                return Promise.all(RECORD_STORES.map(function (name) { return read(name, 'getAll'); })).then(function (lists) {
+                    var data = {};
+                    RECORD_STORES.forEach(function (name, i) {
+                        data[name] = lists[i].map(function (row) { return fromRow(name, row); });
+                    });
+                    return { locked: false, data: data, settings: stored };
+                });
+            }).then(function (result) {
+                database.close();
+                return result;
+            }, function (err) {
+                database.close();
+                throw err;
+            });
+        });
+    }
+
+    // ── Indexed lookups ────────────────────────────────────
+
+    /** Sales matching an index range, read after queued writes; sealed sales have no index, so they are searched in memory. */
+    function querySales(indexName, range, test) {
+        if (cryptoKey) return Promise.resolve(knownRecords('sales').filter(test));
+        return enqueue(function () {
+            return new Promise(function (resolve, reject) {
+                var req = db.transaction('sales', 'readonly').objectStore('sales').index(indexName).getAll(range);
+                req.onsuccess = function () {
+                    resolve(req.result.map(function (row) { return row.sale; }));
+                };
+                req.onerror = function () { reject(req.error); };
+            });
+        });
+    }
+
+    /** Sales dated from..to inclusive (YYYY-MM-DD). */
+    function salesBetween(from, to) {
+        return querySales('date', IDBKeyRange.bound(from, to), function (sale) { return sale.date >= from && sale.date <= to; });
+    }
+
+    /** Sales with a line for this item name (case-insensitive). */
+    function salesWithItem(name) {
+        var key = String(name).trim().toLowerCase();
+        return querySales('item', IDBKeyRange.only(key), function (sale) { return itemKeys(sale).indexOf(key) !== -1; });
+    }
+
+    function salesByPaymentMethod(method) {
+        return querySales('paymentMethod', IDBKeyRange.only(method), function (sale) { return sale.paymentMethod === method; });
+    }
+
+    // ── Pre-IndexedDB data from the old app ────────────────
+
+    /** Remove localStorage keys left by the old app once app.js has migrated them. */
+    function clearLegacy(keys) {
+        keys.forEach(function (key) { localStorage.removeItem(key); });
+    }
+
+    /** Set the function called with a user-facing message when a write fails. */
+    function onError(fn) {
+        errorHandler = fn;
+    }
+
+    return {
+        open: open,
+        put: put,
+        remove: remove,
+        sync: sync,
+        getSetting: getSetting,
+        setSetting: setSetting,
+        flush: flush,
+        hasPasscode: hasPasscode,
+        checkPasscode: checkPasscode,
+        setPasscode: setPasscode,
+        listJournals: listJournals,
+        currentJournal: currentJournal,
+        useJournal: useJournal,
+        addJournal: addJournal,
+        renameJournal: renameJournal,
+        removeJournal: removeJournal,
+        journalHasPasscode: journalHasPasscode,
+        readJournal: readJournal,
+        salesBetween: salesBetween,
+        salesWithItem: salesWithItem,
+        salesByPaymentMethod: salesByPaymentMethod,
+        readLegacy: readLegacy,
+        clearLegacy: clearLegacy,
+        onError: onError
+    };
+})();
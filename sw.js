@@ -0,0 +1,87 @@
+/* ═══════════════════════════════════════════════════════════
+   Tori's Skin Secret — Sales Journal service worker
+   Caches the app shell so the journal opens with no signal.
+   Files are served from the cache straight away and re-checked in the
+   background; when one has changed the new copy is cached and open pages
+   are told an update is ready. Bump CACHE_VERSION when SHELL_FILES changes.
+   ═══════════════════════════════════════════════════════════ */
+
+'use strict';
+
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = 'tori-sales-journal-' + CACHE_VERSION;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'storage.js',
+    'style.css',
+    'premium-ui.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+// Fetch fresh copies (bypassing the HTTP cache) so a new version never caches old files.
+self.addEventListener('install', function (event) {
+    event.waitUntil(caches.open(CACHE_NAME).then(function (cache) {
+        return cache.addAll(SHELL_FILES.map(function (url) { return new Request(url, { cache: 'reload' }); }));
+    }));
+});
+
+// Drop caches from older versions once this one takes over.
+self.addEventListener('activate', function (event) {
+    event.waitUntil(caches.keys().then(function (keys) {
+        return Promise.all(keys.filter(function (key) {
+            return key.indexOf('tori-sales-journal-') === 0 && key !== CACHE_NAME;
+        }).map(function (key) { return caches.delete(key); }));
+    }).then(function () { return self.clients.claim(); }));
+});
+
+// The page asks a waiting worker to take over when the user accepts an update.
+self.addEventListener('message', function (event) {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/** Tell every open page that newer files are cached and a reload will use them. */
+function notifyUpdate() {
+    return self.clients.matchAll({ type: 'window' }).then(function (clients) {
+        clients.forEach(function (client) { client.postMessage({ type: 'SHELL_UPDATED' }); });
+    });
+}
+
+/** Fetch a fresh copy of a cached file; if it differs, cache it and notify pages. */
+function refresh(request, cached) {
+    return fetch(request, { cache: 'no-cache' }).then(function (fresh) {
+        if (!fresh.ok) return;
+        return Promise.all([fresh.clone().text(), cached.text()]).then(function (bodies) {
+            if (bodies[0] === bodies[1]) return;
+            return caches.open(CACHE_NAME).then(function (cache) {
+                return cache.put(request, fresh);
+            }).then(notifyUpdate);
+        });
+    }).catch(function () {
+        // Offline: keep serving the cached copy
+    });
+}
+
+self.addEventListener('fetch', function (event) {
+    var request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.match(request, { ignoreSearch: true }).then(function (cached) {
+        if (cached) {
+            event.waitUntil(refresh(request, cached.clone()));
+            return cached;
+        }
+        return fetch(request).catch(function (err) {
+            // Offline and not cached: page loads still get the app shell
+            if (request.mode === 'navigate') return caches.match('index.html');
+            throw err;
+        });
+    }));
+});
@@ -0,0 +1,178 @@
+/* ═══════════════════════════════════════════════════════════
+   Tori's Skin Secret — Sales Journal sync server
+   A small stand-in for the sync endpoint, for testing or for running
+   on a computer in the shop. No dependencies:
+
+       node sync-server/server.js
+
+   Then enter http://<this-computer's-address>:8787/sync as the sync
+   endpoint on each device. Settings (environment variables):
+       PORT       port to listen on (default 8787)
+       SYNC_KEY   if set, devices must send it as their access key
+       SYNC_DATA  JSON file the sales are kept in (default sync-data.json
+                  next to this file)
+
+   Protocol: POST /sync with { since, changes: [{ id, modifiedAt, baseRev,
+   deleted?, record? }] }. Each change is accepted unless another device
+   changed the same sale since `baseRev` and did so later (last writer
+   wins). The reply is { rev, results: [{ id, status, rev, conflict? }],
+   changes: [...] }, where `changes` are the sales other devices changed
+   after `since`.
+   ═══════════════════════════════════════════════════════════ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const SYNC_KEY = process.env.SYNC_KEY || '';
+const DATA_FILE = process.env.SYNC_DATA || path.join(__dirname, 'sync-data.json');
+
+// Largest request body accepted, so a bad client can't exhaust memory.
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// { rev, records: { id: { id, rev, modifiedAt, deleted, record } } }
+let db = { rev: 0, records: {} };
+
+// ── Storage ────────────────────────────────────────────
+
+function loadData() {
+    if (!fs.existsSync(DATA_FILE)) return;
+    try {
+        db = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (err) {
+        console.error('Could not read ' + DATA_FILE + ': ' + err.message);
+        process.exit(1);
+    }
+}
+
+/** Write to a temp file first so a crash mid-write can't corrupt the data. */
+function saveData() {
+    var tmp = DATA_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(db));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+// ── Sync ───────────────────────────────────────────────
+
+/** True if the change carries exactly what is already stored (e.g. a record echoed back). */
+function sameAsStored(change, stored) {
+    return stored.modifiedAt === change.modifiedAt &&
+        !!stored.deleted === !!change.deleted &&
+        JSON.stringify(stored.record || null) === JSON.stringify(change.record || null);
+}
+
+/** Apply one change; returns its entry for `results`. */
+function applyChange(change) {
+    var stored = db.records[change.id];
+    var result = { id: change.id };
+
+    if (stored && sameAsStored(change, stored)) {
+        result.status = 'accepted';
+        result.rev = stored.rev;
+        return result;
+    }
+
+    // Another device changed this sale since the client last saw it
+    var concurrent = stored && stored.rev !== change.baseRev;
+    if (concurrent && String(change.modifiedAt) < String(stored.modifiedAt)) {
+        result.status = 'rejected';
+        result.rev = stored.rev;
+        result.conflict = stored;
+        return result;
+    }
+    if (concurrent) result.conflict = stored;
+
+    db.rev++;
+    db.records[change.id] = {
+        id: change.id,
+        rev: db.rev,
+        modifiedAt: change.modifiedAt,
+        deleted: !!change.deleted,
+        record: change.deleted ? null : change.record
+    };
+    result.status = 'accepted';
+    result.rev = db.rev;
+    return result;
+}
+
+function validChange(change) {
+    return change && typeof change.id === 'string' && change.id &&
+        typeof change.modifiedAt === 'string' &&
+        (change.deleted || (change.record && typeof change.record === 'object' && change.record.id === change.id));
+}
+
+function handleSync(body) {
+    var since = Number(body.since) || 0;
+    var changes = Array.isArray(body.changes) ? body.changes : [];
+    var invalid = changes.filter(function (c) { return !validChange(c); });
+    if (invalid.length > 0) return { status: 400, body: { error: invalid.length + ' changes are missing an id, modifiedAt or record.' } };
+
+    var handled = {};
+    var results = changes.map(function (change) {
+        handled[change.id] = true;
+        return applyChange(change);
+    });
+    if (results.length > 0) saveData();
+
+    var updates = Object.keys(db.records).map(function (id) { return db.records[id]; })
+        .filter(function (r) { return r.rev > since && !handled[r.id]; })
+        .sort(function (a, b) { return a.rev - b.rev; });
+
+    return { status: 200, body: { rev: db.rev, results: results, changes: updates } };
+}
+
+// ── HTTP ───────────────────────────────────────────────
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer(function (req, res) {
+    var url = req.url.split('?')[0];
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (url === '/status' && req.method === 'GET') return send(res, 200, { ok: true, rev: db.rev, sales: Object.keys(db.records).length });
+    if (url !== '/sync' || req.method !== 'POST') return send(res, 404, { error: 'Not found. POST to /sync.' });
+    if (SYNC_KEY && req.headers.authorization !== 'Bearer ' + SYNC_KEY) return send(res, 401, { error: 'Wrong or missing access key.' });
+
+    var chunks = [];
+    var size = 0;
+    req.on('data', function (chunk) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            send(res, 413, { error: 'Request too large.' });
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', function () {
+        var body;
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch {
+            return send(res, 400, { error: 'Body is not valid JSON.' });
+        }
+        try {
+            var reply = handleSync(body || {});
+            send(res, reply.status, reply.body);
+        } catch (err) {
+            console.error(err);
+            send(res, 500, { error: 'Could not save: ' + err.message });
+        }
+    });
+});
+
+loadData();
+server.listen(PORT, function () {
+    console.log('Sales Journal sync server on http://localhost:' + PORT + '/sync (' + Object.keys(db.records).length + ' sales, data in ' + DATA_FILE + ')');
+});